@@ -0,0 +1,514 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format.
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import * as path from 'path'
+import { Readable } from 'stream'
+import { SBAsset6, PackOptions } from './SBAsset6'
+import { ReadStreamOptions } from './FileMapper'
+
+/**
+ * Abstracts a single asset source (an SBAsset6 archive or a loose directory) mounted in an AssetDatabase.
+ */
+export interface AssetSource {
+  /**
+   * The name of the asset source - the `name` metadata key if present, otherwise derived from where the source was loaded from.
+   * This is the name that other sources refer to in their `includes` and `requires` metadata.
+   */
+  name: string
+
+  /**
+   * The `priority` metadata key of the asset source, defaulting to 0. Sources with a higher priority are loaded later, and override earlier ones.
+   */
+  priority: number
+
+  /**
+   * The SBAsset6 instance providing the asset source's metadata and files.
+   */
+  pak: SBAsset6
+}
+
+/**
+ * Abstracts a `requires` dependency of an asset source that isn't mounted in the AssetDatabase.
+ */
+export interface MissingDependency {
+  /**
+   * The name of the asset source with the missing dependency.
+   */
+  source: string
+
+  /**
+   * The name of the required asset source that could not be found.
+   */
+  dependency: string
+}
+
+/**
+ * Abstracts the result of ordering the asset sources of an AssetDatabase.
+ */
+export interface LoadOrder {
+  /**
+   * The mounted asset sources, in the order they are loaded. Later sources override earlier ones.
+   */
+  sources: AssetSource[]
+
+  /**
+   * Every `requires` dependency that isn't mounted in the AssetDatabase.
+   */
+  missing: MissingDependency[]
+
+  /**
+   * Every dependency cycle found, as the names of the asset sources involved in each.
+   * Sources within a cycle are loaded in priority order.
+   */
+  cycles: string[][]
+}
+
+/**
+ * Abstracts the asset sources that provide a given virtualPath, where more than one does.
+ */
+export interface AssetOverride {
+  /**
+   * The virtualPath provided by multiple asset sources.
+   */
+  virtualPath: string
+
+  /**
+   * The asset source whose file is used - the last one loaded.
+   */
+  provider: AssetSource
+
+  /**
+   * The asset sources whose files are shadowed by the provider, in load order.
+   */
+  shadowed: AssetSource[]
+}
+
+export class AssetDatabase {
+  /**
+   * All mounted asset sources, in the order they were mounted.
+   *
+   * @private
+   */
+  private readonly mounted: AssetSource[]
+
+  /**
+   * The load order of the mounted asset sources, worked out when first needed after they change.
+   *
+   * @private
+   */
+  private loadOrder: LoadOrder | undefined
+
+  /**
+   * AssetDatabase is a class which layers multiple SBAsset6 archives and loose directories into a single view of the game's assets,
+   *   ordering them the same way Starbound does - by their `priority` metadata, then by their `includes` and `requires` metadata.
+   *
+   * @return {AssetDatabase}
+   *
+   * @example
+   * ```
+   * import { AssetDatabase, SBAsset6 } from 'sbasset6'
+   *
+   * const db = new AssetDatabase()
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * await pak.load()
+   * await db.mount(pak)
+   * await db.mountDirectory('/path/to/other/mod/')
+   *
+   * const { missing, cycles } = await db.getLoadOrder()
+   * const provider = await db.getProvider('/items/generic/crafting/somefile.json')
+   * ```
+   */
+  constructor () {
+    this.mounted = []
+    this.loadOrder = undefined
+  }
+
+  /**
+   * Mounts an already-loaded SBAsset6 archive into the AssetDatabase.
+   *
+   * @param  pak - The SBAsset6 instance to mount.
+   * @param  name - The name to refer to the asset source by, overriding its `name` metadata.
+   * @return {Promise<AssetSource>} - The mounted asset source.
+   *
+   * @example
+   * ```
+   * const db = new AssetDatabase()
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * await pak.load()
+   *
+   * await db.mount(pak)
+   * ```
+   */
+  public async mount (pak: SBAsset6, name?: string): Promise<AssetSource> {
+    const source: AssetSource = {
+      name: name ?? AssetDatabase._getSourceName(pak, this.mounted.length),
+      priority: typeof pak.metadata.priority === 'number' ? pak.metadata.priority : 0,
+      pak
+    }
+    this.mounted.push(source)
+    this.loadOrder = undefined
+
+    return source
+  }
+
+  /**
+   * Mounts a loose mod directory into the AssetDatabase, as the game does with mods that aren't packed.
+   *
+   * @param  directory - The mod directory to mount.
+   * @param  options - Options for importing the directory, such as ignore patterns.
+   * @return {Promise<AssetSource>} - The mounted asset source.
+   *
+   * @see SBAsset6.importDirectory
+   *
+   * @example
+   * ```
+   * const db = new AssetDatabase()
+   * await db.mountDirectory('/path/to/mod/')
+   * ```
+   */
+  public async mountDirectory (directory: string, options: PackOptions = {}): Promise<AssetSource> {
+    const pak = new SBAsset6()
+    await pak.importDirectory(directory, options)
+
+    return this.mount(pak, typeof pak.metadata.name === 'string' ? undefined : path.basename(path.resolve(directory)))
+  }
+
+  /**
+   * Unmounts an asset source from the AssetDatabase. Does not close the underlying SBAsset6 instance.
+   *
+   * @param  source - The asset source (or its SBAsset6 instance) to unmount.
+   * @return {Promise<void>}
+   */
+  public async unmount (source: AssetSource | SBAsset6): Promise<void> {
+    const index = this.mounted.findIndex(mounted => mounted === source || mounted.pak === source)
+    if (index !== -1) {
+      this.mounted.splice(index, 1)
+      this.loadOrder = undefined
+    }
+  }
+
+  /**
+   * Orders the mounted asset sources the way the game loads them.
+   * Sources are loaded in ascending `priority`, except that a source is always loaded after the sources it `includes` or `requires`.
+   * The order is worked out once per change to the mounted sources; changes to a mounted archive's metadata aren't picked up until then.
+   *
+   * @return {Promise<LoadOrder>} - The ordered asset sources, along with any missing dependencies and dependency cycles.
+   *
+   * @example
+   * ```
+   * const { sources, missing, cycles } = await db.getLoadOrder()
+   * for (const { source, dependency } of missing) {
+   *   console.log(`${source} requires ${dependency}, which is not installed`)
+   * }
+   * ```
+   */
+  public async getLoadOrder (): Promise<LoadOrder> {
+    const { sources, missing, cycles } = this._getLoadOrder()
+
+    return {
+      sources: [...sources],
+      missing: missing.map(dependency => ({ ...dependency })),
+      cycles: cycles.map(cycle => [...cycle])
+    }
+  }
+
+  /**
+   * Gets the load order of the mounted asset sources, working it out only if the mounted sources have changed since it was last needed.
+   *
+   * @private
+   * @hidden
+   *
+   * @return {LoadOrder} - The load order; not to be modified.
+   */
+  public _getLoadOrder (): LoadOrder {
+    if (this.loadOrder === undefined) {
+      this.loadOrder = AssetDatabase._resolveLoadOrder(this.mounted)
+    }
+
+    return this.loadOrder
+  }
+
+  /**
+   * Orders asset sources the way the game loads them: sorted by priority, with each source's includes and requires loaded right before it.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  sources - The asset sources to order, in the order they were mounted.
+   * @return {LoadOrder} - The ordered asset sources, along with any missing dependencies and dependency cycles.
+   */
+  public static _resolveLoadOrder (sources: AssetSource[]): LoadOrder {
+    const missing: MissingDependency[] = []
+
+    // dependencies[i] holds the indexes of the sources that sources[i] must be loaded after
+    const dependencies: number[][] = sources.map(source => {
+      const deps: number[] = []
+      for (const key of ['includes', 'requires']) {
+        for (const dependency of AssetDatabase._getDependencyNames(source.pak.metadata[key])) {
+          const matches = sources.reduce((res: number[], candidate, i) => candidate.name === dependency ? res.concat(i) : res, [])
+          if (matches.length === 0 && key === 'requires') {
+            missing.push({ source: source.name, dependency })
+          }
+          deps.push(...matches)
+        }
+      }
+
+      return deps
+    })
+
+    // like the game, take sources in priority order (keeping mount order for ties), loading each one's dependencies right before it;
+    //   sources are marked as visited on the way in, so that a dependency cycle is broken where it's first re-entered
+    const visited: boolean[] = sources.map(() => false)
+    const order: AssetSource[] = []
+    const visit = (i: number): void => {
+      if (visited[i]) {
+        return
+      }
+
+      visited[i] = true
+      dependencies[i].forEach(visit)
+      order.push(sources[i])
+    }
+    sources.map((_source, i) => i).sort((a, b) => sources[a].priority !== sources[b].priority ? sources[a].priority - sources[b].priority : a - b).forEach(visit)
+
+    return {
+      sources: order,
+      missing,
+      cycles: AssetDatabase._findCycles(dependencies).map(cycle => cycle.map(i => sources[i].name))
+    }
+  }
+
+  /**
+   * Lists all "files" provided by any mounted asset source.
+   *
+   * @return {Promise<string[]>} - Array of virtual filepaths provided by the AssetDatabase.
+   */
+  public async list (): Promise<string[]> {
+    const files = new Set<string>()
+    for (const source of this.mounted) {
+      for (const file of await source.pak.files.list()) {
+        files.add(file)
+      }
+    }
+
+    return Array.from(files)
+  }
+
+  /**
+   * Identifies if any mounted asset source provides a "file" at the specified virtualPath.
+   *
+   * @param  virtualPath - The virtualPath to check for existence.
+   * @return {Promise<boolean>}
+   */
+  public async exists (virtualPath: string): Promise<boolean> {
+    return (await this.getProvider(virtualPath)) !== undefined
+  }
+
+  /**
+   * Gets the contents of the "file" at the specified virtualPath, from whichever asset source is loaded last.
+   *
+   * @throws {Error} - Throws when no mounted asset source provides the virtualPath.
+   *
+   * @param  virtualPath - The virtualPath to load the "file" from.
+   * @return {Promise<Buffer>} - The "file" contents, as a Buffer instance.
+   */
+  public async getFile (virtualPath: string): Promise<Buffer> {
+    const provider = await this.getProvider(virtualPath)
+    if (provider === undefined) {
+      throw new Error('No file exists at the specified virtualPath.')
+    }
+
+    return provider.pak.files.getFile(virtualPath)
+  }
+
+  /**
+   * Creates a Readable stream for the contents of the "file" at the specified virtualPath, from whichever asset source is loaded last.
+   *
+   * @throws {Error} - Throws when no mounted asset source provides the virtualPath.
+   *
+   * @param  virtualPath - The virtualPath to stream the "file" from.
+   * @param  options - Optional start and end offsets to only stream part of the file.
+   * @return {Promise<Readable>} - A Readable stream of the "file" contents.
+   *
+   * @see FileMapper.createReadStream
+   */
+  public async createReadStream (virtualPath: string, options: ReadStreamOptions = {}): Promise<Readable> {
+    const provider = await this.getProvider(virtualPath)
+    if (provider === undefined) {
+      throw new Error('No file exists at the specified virtualPath.')
+    }
+
+    return provider.pak.files.createReadStream(virtualPath, options)
+  }
+
+  /**
+   * Gets the asset source whose "file" is used for the specified virtualPath - the last loaded source that provides it.
+   *
+   * @param  virtualPath - The virtualPath to look up.
+   * @return {Promise<AssetSource|undefined>} - The providing asset source, or undefined if no mounted source provides the virtualPath.
+   */
+  public async getProvider (virtualPath: string): Promise<AssetSource | undefined> {
+    const providers = await this.getProviders(virtualPath)
+
+    return providers[providers.length - 1]
+  }
+
+  /**
+   * Gets every asset source that provides the specified virtualPath, in load order.
+   * The last source is the one whose "file" is used; the rest are shadowed by it.
+   *
+   * @param  virtualPath - The virtualPath to look up.
+   * @return {Promise<AssetSource[]>} - The providing asset sources, in load order.
+   */
+  public async getProviders (virtualPath: string): Promise<AssetSource[]> {
+    const { sources } = this._getLoadOrder()
+    const providers = []
+    for (const source of sources) {
+      if (await source.pak.files.exists(virtualPath)) {
+        providers.push(source)
+      }
+    }
+
+    return providers
+  }
+
+  /**
+   * Lists every virtualPath provided by more than one asset source, along with which source wins and which are shadowed.
+   *
+   * @return {Promise<AssetOverride[]>}
+   *
+   * @example
+   * ```
+   * for (const { virtualPath, provider, shadowed } of await db.getOverrides()) {
+   *   console.log(`${virtualPath} from ${provider.name} overrides ${shadowed.map(source => source.name).join(', ')}`)
+   * }
+   * ```
+   */
+  public async getOverrides (): Promise<AssetOverride[]> {
+    const { sources } = this._getLoadOrder()
+    const providers = new Map<string, AssetSource[]>()
+    for (const source of sources) {
+      for (const file of await source.pak.files.list()) {
+        const existing = providers.get(file)
+        if (existing !== undefined) {
+          existing.push(source)
+        } else {
+          providers.set(file, [source])
+        }
+      }
+    }
+
+    const overrides: AssetOverride[] = []
+    for (const [virtualPath, fileProviders] of providers) {
+      if (fileProviders.length > 1) {
+        overrides.push({
+          virtualPath,
+          provider: fileProviders[fileProviders.length - 1],
+          shadowed: fileProviders.slice(0, -1)
+        })
+      }
+    }
+
+    return overrides
+  }
+
+  /**
+   * Determines the name of an asset source.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  pak - The SBAsset6 instance of the asset source.
+   * @param  index - The mount index of the asset source, used when nothing better is available.
+   * @return {string}
+   */
+  public static _getSourceName (pak: SBAsset6, index: number): string {
+    if (typeof pak.metadata.name === 'string') {
+      return pak.metadata.name
+    } else if (pak.path !== undefined) {
+      return path.basename(pak.path, path.extname(pak.path))
+    }
+
+    return `source-${index}`
+  }
+
+  /**
+   * Normalizes the value of an `includes` or `requires` metadata key into a list of asset source names.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  value - The metadata value.
+   * @return {string[]}
+   */
+  public static _getDependencyNames (value: any): string[] {
+    if (typeof value === 'string') {
+      return [value]
+    } else if (Array.isArray(value)) {
+      return value.filter((name): name is string => typeof name === 'string')
+    }
+
+    return []
+  }
+
+  /**
+   * Finds all cycles in a dependency graph, using Tarjan's strongly connected components algorithm.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  dependencies - For each node, the indexes of the nodes it depends on.
+   * @return {number[][]} - The indexes of the nodes within each cycle.
+   */
+  public static _findCycles (dependencies: number[][]): number[][] {
+    const indexes: Array<number | undefined> = dependencies.map(() => undefined)
+    const lowlinks: number[] = dependencies.map(() => 0)
+    const onStack: boolean[] = dependencies.map(() => false)
+    const stack: number[] = []
+    const cycles: number[][] = []
+    let counter = 0
+
+    const visit = (node: number): void => {
+      indexes[node] = lowlinks[node] = counter++
+      stack.push(node)
+      onStack[node] = true
+
+      for (const dep of dependencies[node]) {
+        const depIndex = indexes[dep]
+        if (depIndex === undefined) {
+          visit(dep)
+          lowlinks[node] = Math.min(lowlinks[node], lowlinks[dep])
+        } else if (onStack[dep]) {
+          lowlinks[node] = Math.min(lowlinks[node], depIndex)
+        }
+      }
+
+      if (lowlinks[node] === indexes[node]) {
+        const component: number[] = []
+        let member: number
+        do {
+          member = stack.pop() as number
+          onStack[member] = false
+          component.push(member)
+        } while (member !== node)
+
+        if (component.length > 1 || dependencies[node].includes(node)) {
+          cycles.push(component.sort((a, b) => a - b))
+        }
+      }
+    }
+
+    for (const i in dependencies) {
+      if (indexes[i] === undefined) {
+        visit(Number(i))
+      }
+    }
+
+    return cycles
+  }
+}
@@ -0,0 +1,289 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format.
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import { SBAsset6 } from './SBAsset6'
+import { FileMapper } from './FileMapper'
+import { JSONSyntaxError } from './StarboundJSON'
+
+/**
+ * File extensions of assets that JSON files commonly refer to.
+ */
+const referenceExtensions = [
+  'png', 'ogg', 'wav', 'lua', 'json', 'config', 'frames', 'animation', 'particle', 'projectile', 'statuseffect', 'weaponability',
+  'item', 'object', 'activeitem', 'consumable', 'thrownitem', 'augment', 'currency', 'instrument', 'liqitem', 'matitem',
+  'head', 'chest', 'legs', 'back', 'beamaxe', 'flashlight', 'harvestingtool', 'miningtool', 'painttool', 'tillingtool', 'wiretool', 'inspectiontool',
+  'material', 'matmod', 'liquid', 'biome', 'dungeon', 'structure', 'recipe', 'species', 'npctype', 'monstertype', 'tech', 'codex', 'cinematic'
+]
+
+/**
+ * File extensions of assets that are never JSON, and so aren't checked for references.
+ */
+const nonJSONExtensions = new Set(['png', 'jpg', 'ogg', 'wav', 'mp3', 'lua', 'ttf', 'otf', 'woff', 'frag', 'vert', 'abc', 'txt', 'md'])
+
+/**
+ * Directives that take an image as their argument, such as `?addmask=/path/to/mask.png`.
+ */
+const imageDirectives = /^(?:addmask|submask|blendmult|blendscreen)=([^;]+)/
+
+/**
+ * Abstracts a reference to another asset, found within a JSON file.
+ */
+export interface AssetReference {
+  /**
+   * The virtualPath of the JSON file containing the reference.
+   */
+  file: string
+
+  /**
+   * A JSON Pointer to the string containing the reference, within the JSON file.
+   */
+  pointer: string
+
+  /**
+   * The string containing the reference, as written.
+   */
+  value: string
+
+  /**
+   * The virtualPath that the reference resolves to, without any frame or directive suffixes.
+   */
+  path: string
+}
+
+/**
+ * Abstracts a JSON file that could not be checked for references.
+ */
+export interface UncheckedFile {
+  /**
+   * The virtualPath of the file.
+   */
+  file: string
+
+  /**
+   * Why the file could not be checked.
+   */
+  message: string
+
+  /**
+   * The line of the syntax error within the file, if it could not be parsed.
+   */
+  line?: number
+
+  /**
+   * The column of the syntax error within the file, if it could not be parsed.
+   */
+  column?: number
+}
+
+/**
+ * Abstracts the result of checking an archive's JSON files for broken references.
+ */
+export interface ReferenceReport {
+  /**
+   * How many JSON files were checked.
+   */
+  files: number
+
+  /**
+   * How many references were found.
+   */
+  references: number
+
+  /**
+   * References to assets that don't exist.
+   */
+  missing: AssetReference[]
+
+  /**
+   * Files that could not be checked, such as those that aren't valid JSON.
+   */
+  errors: UncheckedFile[]
+}
+
+/**
+ * Options for finding and checking asset references.
+ */
+export interface ReferenceOptions {
+  /**
+   * File extensions (without the leading dot) of the assets that strings may refer to.
+   * Defaults to images, sounds, Lua scripts and the common JSON asset types.
+   */
+  extensions?: string[]
+
+  /**
+   * Other archives (or FileMappers) that references may resolve to, such as the base game's assets.
+   */
+  sources?: Array<SBAsset6 | FileMapper>
+}
+
+/**
+ * Finds every reference to another asset within a parsed JSON document.
+ * A string is considered a reference when it names a file with a known asset extension;
+ *   references may be absolute (`/items/foo.png`) or relative to the referencing file (`foo.png`),
+ *   and may have frame (`:default`) and directive (`?hueshift=20`) suffixes. Images used by directives are also found.
+ * Strings containing `<tags>` are substituted by the game at runtime, and are skipped.
+ *
+ * @param  document - The parsed JSON document.
+ * @param  virtualPath - The virtualPath of the document, which relative references are resolved against.
+ * @param  options - Options for finding references.
+ * @return {Promise<AssetReference[]>} - Every reference found, in document order.
+ *
+ * @example
+ * ```
+ * const item = await pak.files.getJSON('/items/generic/crafting/log.item')
+ * for (const reference of await findReferences(item, '/items/generic/crafting/log.item')) {
+ *   console.log(`${reference.pointer} refers to ${reference.path}`)
+ * }
+ * ```
+ */
+export async function findReferences (document: any, virtualPath: string, options: ReferenceOptions = {}): Promise<AssetReference[]> {
+  const extensions = new Set((options.extensions ?? referenceExtensions).map(extension => extension.toLowerCase()))
+  const references: AssetReference[] = []
+  collectReferences(document, '', FileMapper.normalizePath(virtualPath), extensions, references)
+
+  return references
+}
+
+/**
+ * Checks every JSON file within an archive for references to assets that don't exist.
+ * Files are parsed as Starbound's relaxed JSON; those that fail to parse are reported rather than checked.
+ *
+ * @param  files - The SBAsset6 archive or FileMapper to check.
+ * @param  options - Options for finding and checking references, including any other sources that references may resolve to.
+ * @return {Promise<ReferenceReport>} - Every missing reference, along with any files that could not be checked.
+ *
+ * @example
+ * ```
+ * const base = new SBAsset6('/path/to/assets/packed.pak')
+ * const mod = new SBAsset6('/path/to/mod.pak')
+ * await base.load()
+ * await mod.load()
+ *
+ * const { missing, errors } = await checkReferences(mod, { sources: [base] })
+ * for (const reference of missing) {
+ *   console.log(`${reference.file} (${reference.pointer}): ${reference.value} does not exist`)
+ * }
+ * ```
+ */
+export async function checkReferences (files: SBAsset6 | FileMapper, options: ReferenceOptions = {}): Promise<ReferenceReport> {
+  const mapper = files instanceof SBAsset6 ? files.files : files
+  const sources = [mapper, ...(options.sources ?? []).map(source => source instanceof SBAsset6 ? source.files : source)]
+  const report: ReferenceReport = { files: 0, references: 0, missing: [], errors: [] }
+
+  for (const virtualPath of (await mapper.list()).sort()) {
+    const extension = getExtension(virtualPath)
+    if (extension === undefined || nonJSONExtensions.has(extension)) {
+      continue
+    }
+
+    let document: any
+    try {
+      document = await mapper.getJSON(virtualPath)
+    } catch (err) {
+      if (err instanceof JSONSyntaxError) {
+        report.errors.push({ file: virtualPath, message: err.message, line: err.line, column: err.column })
+      } else {
+        report.errors.push({ file: virtualPath, message: (err as Error).message })
+      }
+      continue
+    }
+
+    report.files++
+    for (const reference of await findReferences(document, virtualPath, options)) {
+      report.references++
+
+      let found = false
+      for (const source of sources) {
+        if (await source.exists(reference.path)) {
+          found = true
+          break
+        }
+      }
+      if (!found) {
+        report.missing.push(reference)
+      }
+    }
+  }
+
+  return report
+}
+
+/**
+ * Walks a JSON value, collecting references from every string within it.
+ *
+ * @param  value - The JSON value to walk.
+ * @param  pointer - A JSON Pointer to the value.
+ * @param  virtualPath - The normalized virtualPath of the document.
+ * @param  extensions - Lowercase file extensions of the assets that strings may refer to.
+ * @param  references - Where found references are collected.
+ * @return {void}
+ */
+function collectReferences (value: any, pointer: string, virtualPath: string, extensions: Set<string>, references: AssetReference[]): void {
+  if (typeof value === 'string') {
+    for (const path of resolveReferences(value, virtualPath, extensions)) {
+      references.push({ file: virtualPath, pointer, value, path })
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => collectReferences(item, `${pointer}/${i}`, virtualPath, extensions, references))
+  } else if (typeof value === 'object' && value !== null) {
+    for (const key of Object.keys(value)) {
+      collectReferences(value[key], `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`, virtualPath, extensions, references)
+    }
+  }
+}
+
+/**
+ * Works out which assets a string refers to - the asset it names, and any images used by its directives.
+ *
+ * @param  value - The string to check.
+ * @param  virtualPath - The normalized virtualPath of the document containing the string.
+ * @param  extensions - Lowercase file extensions of the assets that strings may refer to.
+ * @return {string[]} - The virtualPaths referred to, if any.
+ */
+function resolveReferences (value: string, virtualPath: string, extensions: Set<string>): string[] {
+  // whitespace means prose rather than a path, and tags are only filled in by the game
+  if (/[\s<>]/.test(value)) {
+    return []
+  }
+
+  const [target, ...directives] = value.split('?')
+  const candidates = [target]
+  for (const directive of directives) {
+    const match = imageDirectives.exec(directive)
+    if (match !== null) {
+      candidates.push(match[1])
+    }
+  }
+
+  const paths: string[] = []
+  for (const candidate of candidates) {
+    // strip any frame suffix, as in `/path/to/image.png:default`
+    const asset = candidate.split(':')[0]
+    const extension = getExtension(asset)
+    if (extension === undefined || !extensions.has(extension)) {
+      continue
+    }
+
+    // relative references are relative to the directory of the file containing them
+    paths.push(FileMapper.normalizePath(asset.startsWith('/') ? asset : virtualPath.slice(0, virtualPath.lastIndexOf('/') + 1) + asset))
+  }
+
+  return paths
+}
+
+/**
+ * Gets the lowercased extension of a virtualPath's file name.
+ *
+ * @param  virtualPath - The virtualPath to get the extension of.
+ * @return {string | undefined} - The extension, without the leading dot, or undefined if there isn't one.
+ */
+function getExtension (virtualPath: string): string | undefined {
+  const match = /[^/]\.([A-Za-z0-9]+)$/.exec(virtualPath)
+
+  return match !== null ? match[1].toLowerCase() : undefined
+}
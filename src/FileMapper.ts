@@ -7,8 +7,10 @@
 //
 
 import * as fs from 'fs'
+import { PassThrough, Readable } from 'stream'
 import { Uint64BE } from 'int64-buffer'
 import { SBAsset6 } from './SBAsset6'
+import { parseJSON } from './StarboundJSON'
 
 /**
  * Abstracts the input structure necessary for FileMapper.setFile()
@@ -24,6 +26,40 @@ export interface FileTableInput {
   filelength?: Uint64BE
 }
 
+/**
+ * Options for FileMapper.createReadStream(), restricting the stream to part of a file.
+ * Like `fs.createReadStream()`, both offsets are inclusive and relative to the start of the file.
+ */
+export interface ReadStreamOptions {
+  /**
+   * The byte offset within the file to start reading at. Defaults to 0.
+   */
+  start?: number
+
+  /**
+   * The byte offset within the file to stop reading at (inclusive). Defaults to the end of the file.
+   */
+  end?: number
+}
+
+/**
+ * Abstracts the location of a file's contents within its source.
+ *
+ * @private
+ * @hidden
+ */
+export interface FileRange {
+  /**
+   * The offset where the file's contents start within its source, in bytes.
+   */
+  start: number
+
+  /**
+   * The length of the file's contents, in bytes.
+   */
+  filelength: number
+}
+
 /**
  * Abstracts the internal structure of a filetable entry.
  *
@@ -35,6 +71,66 @@ export interface FileMapperEntry extends FileTableInput {
   virtualPath: string
 }
 
+/**
+ * Abstracts a single entry of a virtual directory listing.
+ */
+export interface DirectoryEntry {
+  /**
+   * The name of the entry within its directory.
+   */
+  name: string
+
+  /**
+   * The full virtualPath of the entry.
+   */
+  virtualPath: string
+
+  /**
+   * What the entry is - either `file` or `directory`.
+   */
+  type: 'file' | 'directory'
+}
+
+/**
+ * Abstracts information about a "file", obtained without reading its contents.
+ */
+export interface FileStat {
+  /**
+   * The virtualPath of the file.
+   */
+  virtualPath: string
+
+  /**
+   * The size of the file's contents, in bytes.
+   */
+  size: number
+
+  /**
+   * Where the file's contents are loaded from - one of `pak`, `fh`, `path` or `buffer`.
+   */
+  source: string
+}
+
+/**
+ * Options for FileMapper.rename().
+ */
+export interface RenameOptions {
+  /**
+   * Whether to replace files that already exist at the destination. Defaults to false.
+   */
+  overwrite?: boolean
+}
+
+/**
+ * Options for FileMapper.copy().
+ */
+export interface CopyOptions extends RenameOptions {
+  /**
+   * The FileMapper to copy into. Defaults to the FileMapper being copied from.
+   */
+  target?: FileMapper
+}
+
 export class FileMapper {
   /**
    * Storage for all virtual file mapping data for the SBAsset6 archive.
@@ -65,6 +161,7 @@ export class FileMapper {
   /**
    * Lists all "files" mapped in the FileMapper.
    *
+   * @param  prefix - Only list "files" whose virtualPath starts with this string.
    * @return {Promise<string[]>} - Array of virtual filepaths that are currently registered within the FileMapper.
    *
    * @example
@@ -74,10 +171,16 @@ export class FileMapper {
    * await pak.load()
    *
    * const files = await pak.files.list()
+   * const items = await pak.files.list('/items/')
    * ```
    */
-  public async list (): Promise<string[]> {
-    return Array.from(this.filetable.keys())
+  public async list (prefix?: string): Promise<string[]> {
+    const files = Array.from(this.filetable.keys())
+    if (prefix === undefined) {
+      return files
+    }
+
+    return files.filter(virtualPath => virtualPath.startsWith(prefix))
   }
 
   /**
@@ -140,22 +243,110 @@ export class FileMapper {
         throw new Error('Unable to obtain FileHandle for FileMapperEntry')
       }
 
-      const { size } = await fs.promises.fstat(fh)
-      const position = options.start !== undefined ? options.start.toNumber() : 0
-      let maxRead = position - size
-      if (options.filelength !== undefined && options.filelength.toNumber() < maxRead) {
-        maxRead = options.filelength.toNumber()
+      try {
+        const { start, filelength } = await FileMapper._getRange(options, fh)
+        const { buffer } = await fh.read(Buffer.alloc(filelength), 0, filelength, start)
+
+        return buffer
+      } finally {
+        if (options.type === 'path') {
+          await fh.close()
+        }
       }
+    } else if (options.source.buffer !== undefined) {
+      return options.source.buffer
+    } else {
+      throw new TypeError('Cannot get specified file\'s contents.')
+    }
+  }
 
-      const { buffer } = await fs.promises.read(fh, Buffer.alloc(maxRead), 0, maxRead, position)
+  /**
+   * Gets the contents of the "file" at the specified virtualPath, parsed as Starbound's relaxed JSON (which allows `//` and `/* *\/` comments).
+   *
+   * @throws {JSONSyntaxError} - Throws when the file is not valid JSON, with the line and column of the problem.
+   *
+   * @param  virtualPath - The virtualPath to load the "file" from.
+   * @return {Promise<any>} - The parsed "file" contents.
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * await pak.load()
+   *
+   * const item = await pak.files.getJSON('/items/generic/crafting/log.item')
+   * ```
+   */
+  public async getJSON (virtualPath: string): Promise<any> {
+    const contents = await this.getFile(virtualPath)
+
+    return parseJSON(contents.toString('utf8'), FileMapper.normalizePath(virtualPath))
+  }
 
-      if (options.type === 'path') {
+  /**
+   * Creates a Readable stream for the contents of the "file" at the specified virtualPath, without loading the whole file into memory.
+   * Streams read from their source by position, so any number of them may be open against the same archive at once.
+   *
+   * @param  virtualPath - The virtualPath to stream the "file" from.
+   * @param  options - Optional start and end offsets (inclusive, relative to the start of the file) to only stream part of the file.
+   * @return {Promise<Readable>} - A Readable stream of the "file" contents.
+   *
+   * @throws {RangeError} - Throws when the start or end offsets are not non-negative integers, or when start is beyond end.
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * await pak.load()
+   *
+   * const stream = await pak.files.createReadStream('/music/song.ogg')
+   * stream.pipe(fs.createWriteStream('/path/to/song.ogg'))
+   *
+   * // or, just the first kilobyte...
+   * const header = await pak.files.createReadStream('/music/song.ogg', { start: 0, end: 1023 })
+   * ```
+   */
+  public async createReadStream (virtualPath: string, options: ReadStreamOptions = {}): Promise<Readable> {
+    for (const offset of [options.start, options.end]) {
+      if (offset !== undefined && (!Number.isSafeInteger(offset) || offset < 0)) {
+        throw new RangeError('FileMapper.createReadStream expects start and end to be non-negative integers.')
+      }
+    }
+    if (options.start !== undefined && options.end !== undefined && options.start > options.end) {
+      throw new RangeError('FileMapper.createReadStream expects start to be less than or equal to end.')
+    }
+
+    const entry = await this.getFileMeta(virtualPath)
+
+    let fh: fs.promises.FileHandle | undefined
+    if (entry.type === 'fh') {
+      fh = entry.source.filehandle
+    } else if (entry.type === 'path') {
+      fh = await fs.promises.open(entry.source.path as string, 'r')
+    }
+
+    let range: FileRange
+    try {
+      range = await FileMapper._getRange(entry, fh)
+    } catch (err) {
+      if (entry.type === 'path' && fh !== undefined) {
         await fh.close()
       }
+      throw err
+    }
 
-      return buffer
-    } else if (options.source.buffer !== undefined) {
-      return options.source.buffer
+    // narrow the file's range down to the requested slice of it
+    const start = Math.min(options.start ?? 0, range.filelength)
+    const end = Math.min(options.end ?? Infinity, range.filelength - 1)
+    const filelength = Math.max(end - start + 1, 0)
+
+    if (entry.type === 'buffer' && entry.source.buffer !== undefined) {
+      return FileMapper._bufferStream(entry.source.buffer.subarray(start, start + filelength))
+    } else if (entry.type === 'pak' && entry.source.pak !== undefined) {
+      return entry.source.pak.createPakReadStream(range.start + start, filelength)
+    } else if (fh !== undefined) {
+      // only close the filehandle once done if we opened it ourselves
+      return FileMapper._fileHandleStream(fh, range.start + start, filelength, entry.type === 'path')
     } else {
       throw new TypeError('Cannot get specified file\'s contents.')
     }
@@ -267,6 +458,262 @@ export class FileMapper {
     }
   }
 
+  /**
+   * Lists all "files" whose virtualPath matches a glob pattern.
+   * Supports `*` and `?` (which never match across directories), `**` (which does), and `{a,b}` alternatives.
+   * As with the game's own asset lookups, matching is case-sensitive, and is done against each virtualPath in its normalized form.
+   *
+   * @param  pattern - The glob pattern to match virtualPaths against.
+   * @return {Promise<string[]>} - Array of matching virtualPaths.
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * await pak.load()
+   *
+   * const items = await pak.files.glob('/items/*.{json,item}')
+   * const everything = await pak.files.glob('/objects/**')
+   * ```
+   */
+  public async glob (pattern: string): Promise<string[]> {
+    const regexp = FileMapper._globToRegExp(pattern)
+
+    return (await this.list()).filter(virtualPath => regexp.test(FileMapper.normalizePath(virtualPath)))
+  }
+
+  /**
+   * Lists the contents of a virtual directory, like `fs.readdir()`.
+   * Directories are implied by the normalized virtualPaths of the "files" within them;
+   *   file entries keep their virtualPath as stored, so that they can still be read.
+   *
+   * @throws {Error} - Throws when no directory exists at the specified virtualPath.
+   *
+   * @param  directory - The virtualPath of the directory to list. Defaults to the root directory.
+   * @return {Promise<DirectoryEntry[]>} - The files and directories directly within the directory, sorted by name.
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * await pak.load()
+   *
+   * for (const entry of await pak.files.readdir('/items')) {
+   *   console.log(`${entry.type}: ${entry.name}`)
+   * }
+   * ```
+   */
+  public async readdir (directory: string = '/'): Promise<DirectoryEntry[]> {
+    const normalized = FileMapper.normalizePath(directory)
+    const prefix = normalized === '/' ? '/' : normalized + '/'
+
+    const entries = new Map<string, DirectoryEntry>()
+    for (const virtualPath of await this.list()) {
+      const normalizedPath = FileMapper.normalizePath(virtualPath)
+      if (!normalizedPath.startsWith(prefix) || normalizedPath === prefix) {
+        continue
+      }
+
+      const [name, ...rest] = normalizedPath.slice(prefix.length).split('/')
+      if (rest.length > 0) {
+        entries.set(`directory:${name}`, { name, virtualPath: prefix + name, type: 'directory' })
+      } else {
+        entries.set(`file:${virtualPath}`, { name, virtualPath, type: 'file' })
+      }
+    }
+
+    if (entries.size === 0 && normalized !== '/') {
+      throw new Error('No directory exists at the specified virtualPath.')
+    }
+
+    return Array.from(entries.values()).sort((a, b) => a.name < b.name ? -1 : (a.name > b.name ? 1 : 0))
+  }
+
+  /**
+   * Walks the tree beneath a virtual directory, yielding every file and directory within it.
+   * Directories are yielded before their contents, and entries are yielded in name order.
+   *
+   * @throws {Error} - Throws when no directory exists at the specified virtualPath.
+   *
+   * @param  directory - The virtualPath of the directory to walk. Defaults to the root directory.
+   * @return {AsyncGenerator<DirectoryEntry>}
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * await pak.load()
+   *
+   * for await (const entry of pak.files.walk('/objects')) {
+   *   if (entry.type === 'file') {
+   *     console.log(entry.virtualPath)
+   *   }
+   * }
+   * ```
+   */
+  public async * walk (directory: string = '/'): AsyncGenerator<DirectoryEntry> {
+    for (const entry of await this.readdir(directory)) {
+      yield entry
+      if (entry.type === 'directory') {
+        yield * this.walk(entry.virtualPath)
+      }
+    }
+  }
+
+  /**
+   * Gets information about the "file" at the specified virtualPath, without reading its contents.
+   *
+   * @throws {Error} - Throws when no file exists at the specified virtualPath.
+   *
+   * @param  virtualPath - The virtualPath of the file.
+   * @return {Promise<FileStat>}
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * await pak.load()
+   *
+   * const { size } = await pak.files.stat('/music/song.ogg')
+   * ```
+   */
+  public async stat (virtualPath: string): Promise<FileStat> {
+    const entry = await this.getFileMeta(virtualPath)
+    const { filelength } = await this.getFileRange(virtualPath)
+
+    return { virtualPath: entry.virtualPath, size: filelength, source: entry.type }
+  }
+
+  /**
+   * Renames (or moves) a "file", or a whole directory of them.
+   * Only the file table is changed; no file contents are read.
+   *
+   * @throws {Error} - Throws when nothing exists at the source virtualPath, when moving a directory into itself,
+   *   when several files (stored under virtualPaths that normalize the same way) would end up at one destination,
+   *   or when a file already exists at the destination and `overwrite` is not set.
+   *
+   * @param  from - The virtualPath of the file or directory to rename.
+   * @param  to - The virtualPath to rename it to.
+   * @param  options - Options for renaming.
+   * @return {Promise<void>}
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * await pak.load()
+   *
+   * await pak.files.rename('/items/old.item', '/items/new.item')
+   * await pak.files.rename('/items/oldfolder', '/items/archive/oldfolder')
+   * await pak.save()
+   * ```
+   */
+  public async rename (from: string, to: string, options: RenameOptions = {}): Promise<void> {
+    const moves = await this._resolveTransfer(from, to, this, options)
+
+    const entries = moves.map(([source]) => this.filetable.get(source) as FileMapperEntry)
+    for (const [source] of moves) {
+      this.filetable.delete(source)
+    }
+    for (let i = 0; i < moves.length; i++) {
+      await this.setFile(moves[i][1], entries[i])
+    }
+  }
+
+  /**
+   * Copies a "file", or a whole directory of them, within this FileMapper or into another one (such as that of another SBAsset6 archive).
+   * Only file table entries are copied; file contents are not read until they're needed, so nothing is buffered.
+   *
+   * @throws {Error} - Throws when nothing exists at the source virtualPath,
+   *   when several files (stored under virtualPaths that normalize the same way) would end up at one destination,
+   *   or when a file already exists at the destination and `overwrite` is not set.
+   *
+   * @param  from - The virtualPath of the file or directory to copy.
+   * @param  to - The virtualPath to copy it to.
+   * @param  options - Options for copying, including the FileMapper to copy into.
+   * @return {Promise<void>}
+   *
+   * @example
+   * ```
+   * const source = new SBAsset6('/path/to/source.pak')
+   * const target = new SBAsset6('/path/to/target.pak')
+   * await source.load()
+   * await target.load()
+   *
+   * await source.files.copy('/items/shared', '/items/shared', { target: target.files })
+   * await target.save()
+   * ```
+   */
+  public async copy (from: string, to: string, options: CopyOptions = {}): Promise<void> {
+    const target = options.target ?? this
+    const moves = await this._resolveTransfer(from, to, target, options)
+
+    const entries = moves.map(([source]) => this.filetable.get(source) as FileMapperEntry)
+    for (let i = 0; i < moves.length; i++) {
+      await target.setFile(moves[i][1], entries[i])
+    }
+  }
+
+  /**
+   * Works out where each "file" ends up when renaming or copying a file or directory, checking for conflicts along the way.
+   *
+   * @private
+   * @hidden
+   *
+   * @throws {Error} - Throws when nothing exists at the source virtualPath, when moving a directory into itself,
+   *   when several files (stored under virtualPaths that normalize the same way) would end up at one destination,
+   *   or when a file already exists at the destination and `overwrite` is not set.
+   *
+   * @param  from - The virtualPath of the file or directory being transferred.
+   * @param  to - The virtualPath it's being transferred to.
+   * @param  target - The FileMapper it's being transferred into.
+   * @param  options - Options for the transfer.
+   * @return {Promise<Array<[string, string]>>} - Pairs of source and destination virtualPaths.
+   */
+  public async _resolveTransfer (from: string, to: string, target: FileMapper, options: RenameOptions): Promise<Array<[string, string]>> {
+    from = FileMapper.normalizePath(from)
+    to = FileMapper.normalizePath(to)
+
+    // sources are matched by their normalized virtualPaths, but still looked up by the virtualPaths they were stored with
+    const files = (await this.list()).map(virtualPath => [virtualPath, FileMapper.normalizePath(virtualPath)])
+    let moves: Array<[string, string]> = files.filter(([, normalizedPath]) => normalizedPath === from).map(([virtualPath]) => [virtualPath, to])
+    if (moves.length === 0) {
+      const prefix = from === '/' ? '/' : from + '/'
+      const contained = files.filter(([, normalizedPath]) => normalizedPath.startsWith(prefix))
+      if (contained.length === 0) {
+        throw new Error('No file or directory exists at the specified virtualPath.')
+      }
+      if (target === this && from !== to && (to + '/').startsWith(prefix)) {
+        throw new Error('Cannot move or copy a directory into itself.')
+      }
+
+      moves = contained.map(([virtualPath, normalizedPath]) => [virtualPath, FileMapper.normalizePath(to + '/' + normalizedPath.slice(prefix.length))])
+    }
+
+    const destinations = new Set<string>()
+    for (const [, destination] of moves) {
+      if (destinations.has(destination)) {
+        throw new Error(`More than one file would be moved or copied to ${destination}.`)
+      }
+      destinations.add(destination)
+    }
+
+    if (target === this) {
+      moves = moves.filter(([source, destination]) => source !== destination)
+    }
+
+    if (options.overwrite !== true) {
+      const sources = new Set(target === this ? moves.map(([source]) => source) : [])
+      for (const [, destination] of moves) {
+        if (!sources.has(destination) && await target.exists(destination)) {
+          throw new Error(`A file already exists at ${destination}.`)
+        }
+      }
+    }
+
+    return moves
+  }
+
   /**
    * Get the "file" metadata for the specified filepath (basically, where to load the file from).
    *
@@ -283,4 +730,198 @@ export class FileMapper {
 
     return this.filetable.get(virtualPath) as FileMapperEntry
   }
+
+  /**
+   * Identifies where the "file" at the specified virtualPath lies within its source, without reading its contents.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  virtualPath - The virtualPath to locate.
+   * @return {Promise<FileRange>} - The absolute start of the file within its source and its length, in bytes.
+   */
+  public async getFileRange (virtualPath: string): Promise<FileRange> {
+    const entry = await this.getFileMeta(virtualPath)
+    if (entry.type !== 'path') {
+      return FileMapper._getRange(entry, entry.source.filehandle)
+    }
+
+    const fh = await fs.promises.open(entry.source.path as string, 'r')
+    try {
+      const range = await FileMapper._getRange(entry, fh)
+      return range
+    } finally {
+      await fh.close()
+    }
+  }
+
+  /**
+   * Normalizes a virtualPath the way the game resolves asset paths:
+   *   backslashes are treated as separators, repeated separators are collapsed, `.` and `..` segments are resolved,
+   *   and the path is made absolute. Case is preserved, as asset paths are case-sensitive.
+   *
+   * @param  virtualPath - The virtualPath to normalize.
+   * @return {string} - The normalized virtualPath.
+   *
+   * @example
+   * ```
+   * FileMapper.normalizePath('items\\generic//./../generic/crafting/log.item')
+   * // => '/items/generic/crafting/log.item'
+   * ```
+   */
+  public static normalizePath (virtualPath: string): string {
+    const parts: string[] = []
+    for (const part of virtualPath.split(/[\\/]+/)) {
+      if (part === '..') {
+        parts.pop()
+      } else if (part !== '' && part !== '.') {
+        parts.push(part)
+      }
+    }
+
+    return '/' + parts.join('/')
+  }
+
+  /**
+   * Converts a glob pattern into an equivalent regular expression for matching virtualPaths.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  pattern - The glob pattern to convert.
+   * @return {RegExp}
+   */
+  public static _globToRegExp (pattern: string): RegExp {
+    pattern = pattern.replace(/\\/g, '/')
+    if (!pattern.startsWith('/')) {
+      pattern = '/' + pattern
+    }
+
+    let source = ''
+    let alternatives = 0
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i]
+      if (char === '*' && pattern[i + 1] === '*') {
+        // a globstar followed by a slash also matches no directories at all
+        if (pattern[i + 2] === '/' && (i === 0 || pattern[i - 1] === '/')) {
+          source += '(?:[^/]*/)*'
+          i += 2
+        } else {
+          source += '.*'
+          i++
+        }
+      } else if (char === '*') {
+        source += '[^/]*'
+      } else if (char === '?') {
+        source += '[^/]'
+      } else if (char === '{') {
+        source += '(?:'
+        alternatives++
+      } else if (char === '}' && alternatives > 0) {
+        source += ')'
+        alternatives--
+      } else if (char === ',' && alternatives > 0) {
+        source += '|'
+      } else {
+        source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&')
+      }
+    }
+
+    return new RegExp('^' + source + '$')
+  }
+
+  /**
+   * Identifies where a file's contents lie within its source, clamping the file table entry's start and filelength to the source's size.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  entry - The file table entry to locate.
+   * @param  fh - The opened FileHandle for entries sourced from a file path or FileHandle.
+   * @return {Promise<FileRange>} - The absolute start of the file within its source and its length, in bytes.
+   */
+  public static async _getRange (entry: FileMapperEntry, fh?: fs.promises.FileHandle): Promise<FileRange> {
+    if (entry.type === 'pak') {
+      if (entry.start === undefined || entry.filelength === undefined) {
+        throw new Error('FileMapper requires that file table entries for paks provide a start and filelength.')
+      }
+
+      return { start: entry.start.toNumber(), filelength: entry.filelength.toNumber() }
+    } else if (entry.type === 'buffer' && entry.source.buffer !== undefined) {
+      return { start: 0, filelength: entry.source.buffer.length }
+    } else if (fh !== undefined) {
+      const { size } = await fh.stat()
+      const start = entry.start !== undefined ? entry.start.toNumber() : 0
+      let filelength = Math.max(size - start, 0)
+      if (entry.filelength !== undefined && entry.filelength.toNumber() < filelength) {
+        filelength = entry.filelength.toNumber()
+      }
+
+      return { start, filelength }
+    } else {
+      throw new TypeError('Cannot get specified file\'s contents.')
+    }
+  }
+
+  /**
+   * Creates a Readable stream for part of a FileHandle's contents.
+   * Reads are positional, so the stream doesn't disturb (and isn't disturbed by) anything else reading from the same FileHandle.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  fh - The FileHandle to read from.
+   * @param  start - The offset to start reading from, in bytes.
+   * @param  filelength - The amount of data to stream, in bytes.
+   * @param  close - Whether to close the FileHandle once the stream is finished with it.
+   * @return {Readable}
+   */
+  public static _fileHandleStream (fh: fs.promises.FileHandle, start: number, filelength: number, close: boolean): Readable {
+    let position = start
+    const end = start + filelength
+
+    return new Readable({
+      read (size) {
+        const bytes = Math.min(size, end - position)
+        if (bytes <= 0) {
+          this.push(null)
+          return
+        }
+
+        fh.read(Buffer.alloc(bytes), 0, bytes, position).then(({ bytesRead, buffer }) => {
+          if (bytesRead === 0) {
+            this.destroy(new RangeError('Unexpected end of file while streaming file contents.'))
+            return
+          }
+
+          position += bytesRead
+          this.push(buffer.subarray(0, bytesRead))
+        }, (err: Error) => this.destroy(err))
+      },
+
+      destroy (err, callback) {
+        if (!close) {
+          return callback(err)
+        }
+
+        fh.close().then(() => callback(err), (closeErr: Error) => callback(err ?? closeErr))
+      }
+    })
+  }
+
+  /**
+   * Wraps a Buffer in a Readable stream.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  buf - The Buffer to stream.
+   * @return {Readable}
+   */
+  public static _bufferStream (buf: Buffer): Readable {
+    const stream = new PassThrough()
+    stream.end(buf)
+
+    return stream
+  }
 }
@@ -0,0 +1,596 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format.
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import { SBAsset6 } from './SBAsset6'
+import { FileMapper } from './FileMapper'
+
+/**
+ * Abstracts a single JSON Patch operation, as used in Starbound `.patch` files.
+ */
+export interface PatchOperation {
+  /**
+   * The operation to perform - one of `add`, `remove`, `replace`, `move`, `copy` or `test`.
+   */
+  op: string
+
+  /**
+   * A JSON Pointer to the location within the document that the operation targets.
+   */
+  path: string
+
+  /**
+   * A JSON Pointer to the source location, for `move` and `copy` operations.
+   */
+  from?: string
+
+  /**
+   * The value to add, replace or test with. `test` operations without a value only check that the path exists.
+   */
+  value?: any
+
+  /**
+   * Starbound extension for `test` operations: when true, the test passes only if the path is missing (or doesn't hold the given value).
+   */
+  inverse?: boolean
+}
+
+/**
+ * Abstracts the result of applying patches to a JSON document.
+ */
+export interface PatchResult {
+  /**
+   * The patched document.
+   */
+  document: any
+
+  /**
+   * Operations that failed and caused their patch (or patch set) to be discarded.
+   */
+  errors: PatchError[]
+
+  /**
+   * Failed `test` operations that caused their patch (or patch set) to be skipped.
+   * These are how conditional patches work, and are not necessarily a problem.
+   */
+  skipped: PatchError[]
+}
+
+/**
+ * Error describing a JSON Patch operation that could not be applied.
+ */
+export class PatchError extends Error {
+  /**
+   * The virtualPath of the `.patch` file containing the operation, if known.
+   */
+  public patchFile: string | undefined
+
+  /**
+   * The position of the operation within the patch file - e.g. `[2, 0]` for the first operation of the third patch set.
+   */
+  public index: number[]
+
+  /**
+   * The operation that failed, if the patch file could be parsed.
+   */
+  public operation: PatchOperation | undefined
+
+  /**
+   * Whether the error is a failed `test` operation, rather than an operation that could not be applied.
+   */
+  public isTestFailure: boolean
+
+  /**
+   * PatchError is thrown (or reported) when a JSON Patch operation cannot be applied.
+   *
+   * @param  reason - Why the operation failed.
+   * @param  operation - The operation that failed.
+   * @param  isTestFailure - Whether the error is a failed `test` operation.
+   * @return {PatchError}
+   */
+  constructor (reason: string, operation?: PatchOperation, isTestFailure: boolean = false) {
+    super(reason)
+    this.name = 'PatchError'
+    this.patchFile = undefined
+    this.index = []
+    this.operation = operation
+    this.isTestFailure = isTestFailure
+  }
+
+  /**
+   * Records where the failed operation is found, updating the error message to match.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  patchFile - The virtualPath of the `.patch` file containing the operation.
+   * @param  index - The position of the operation within the patch file.
+   * @return {PatchError}
+   */
+  public _locate (patchFile: string | undefined, index: number[]): PatchError {
+    this.patchFile = patchFile
+    this.index = index
+
+    let location = patchFile ?? 'patch'
+    if (index.length > 0) {
+      location += `: operation ${index.join('.')}`
+      if (this.operation !== undefined) {
+        location += ` (${String(this.operation.op)} ${String(this.operation.path)})`
+      }
+    }
+    this.message = `${location}: ${this.message}`
+
+    return this
+  }
+}
+
+/**
+ * Applies a single JSON Patch operation to a document, in place.
+ * Supports every RFC 6902 operation, along with Starbound's `inverse` tests.
+ *
+ * @throws {PatchError} - Throws when the operation cannot be applied, or is a `test` that fails.
+ *
+ * @param  document - The document to patch.
+ * @param  operation - The operation to apply.
+ * @return {Promise<any>} - The patched document. Usually the same object as was passed in, unless the root itself was replaced.
+ *
+ * @example
+ * ```
+ * const config = { workerPoolThreads: 2 }
+ * await applyOperation(config, { op: 'replace', path: '/workerPoolThreads', value: 6 })
+ * ```
+ */
+export async function applyOperation (document: any, operation: PatchOperation): Promise<any> {
+  if (typeof operation !== 'object' || operation === null || Array.isArray(operation)) {
+    throw new PatchError('Patch operations must be objects.')
+  }
+  if (typeof operation.path !== 'string') {
+    throw new PatchError('Patch operations require a path.', operation)
+  }
+
+  const fail = (reason: string): PatchError => new PatchError(reason, operation)
+  const tokens = parsePointer(operation.path, operation)
+
+  switch (operation.op) {
+    case 'test': {
+      let found: { value: any } | undefined
+      try {
+        found = { value: getValue(document, tokens, operation) }
+      } catch (err) {
+        found = undefined
+      }
+
+      const passed = found !== undefined && (!('value' in operation) || equalValues(found.value, operation.value))
+      if (passed === (operation.inverse === true)) {
+        let reason: string
+        if (operation.inverse === true) {
+          reason = 'value' in operation
+            ? `expected ${operation.path} not to be ${JSON.stringify(operation.value)}`
+            : `expected ${operation.path} to be missing`
+        } else {
+          reason = found === undefined
+            ? `${operation.path} does not exist`
+            : `expected ${JSON.stringify(operation.value)}, found ${JSON.stringify(found.value)}`
+        }
+        throw new PatchError(`test failed: ${reason}`, operation, true)
+      }
+
+      return document
+    }
+
+    case 'add':
+      if (!('value' in operation)) {
+        throw fail('add operations require a value.')
+      }
+
+      return addValue(document, tokens, cloneValue(operation.value), operation)
+
+    case 'remove':
+      return removeValue(document, tokens, operation)
+
+    case 'replace':
+      if (!('value' in operation)) {
+        throw fail('replace operations require a value.')
+      }
+
+      // the replaced value must already exist
+      getValue(document, tokens, operation)
+      if (tokens.length === 0) {
+        return cloneValue(operation.value)
+      } else {
+        const parent = getValue(document, tokens.slice(0, -1), operation)
+        const token = tokens[tokens.length - 1]
+        if (Array.isArray(parent)) {
+          parent[arrayIndex(parent, token, false, operation)] = cloneValue(operation.value)
+        } else {
+          setProperty(parent, token, cloneValue(operation.value))
+        }
+      }
+
+      return document
+
+    case 'move':
+    case 'copy': {
+      if (typeof operation.from !== 'string') {
+        throw fail(`${operation.op} operations require a from path.`)
+      }
+
+      const from = parsePointer(operation.from, operation)
+      const value = getValue(document, from, operation)
+      if (operation.op === 'copy') {
+        return addValue(document, tokens, cloneValue(value), operation)
+      }
+
+      if (from.length < tokens.length && from.every((token, i) => token === tokens[i])) {
+        throw fail(`cannot move ${operation.from} into one of its own children.`)
+      }
+      if (from.length === tokens.length && from.every((token, i) => token === tokens[i])) {
+        return document
+      }
+
+      return addValue(removeValue(document, from, operation), tokens, value, operation)
+    }
+
+    default:
+      throw fail(`unknown operation ${JSON.stringify(operation.op)}.`)
+  }
+}
+
+/**
+ * Applies the contents of a `.patch` file to a document, the way Starbound does.
+ *
+ * A patch is either a flat list of operations, or a list of patch sets (nested lists of operations).
+ * Patch sets are applied independently - if a `test` in a set fails, only that set is discarded.
+ * As in the game, any other failure within a set discards that set and stops the rest of the patch file from being applied,
+ *   though the sets before it stay applied.
+ * For a flat list, any failure discards the whole patch.
+ * The document passed in is never modified.
+ *
+ * @param  document - The document to patch.
+ * @param  patch - The parsed contents of the `.patch` file.
+ * @param  patchFile - The virtualPath of the `.patch` file, for error reporting.
+ * @return {Promise<PatchResult>} - The patched document, along with every operation that failed.
+ *
+ * @example
+ * ```
+ * const patch = await pak.files.getJSON('/universe_server.config.patch')
+ * const { document, errors } = await applyPatch(baseConfig, patch, '/universe_server.config.patch')
+ * for (const err of errors) {
+ *   console.log(err.message)
+ * }
+ * ```
+ */
+export async function applyPatch (document: any, patch: any, patchFile?: string): Promise<PatchResult> {
+  const result: PatchResult = { document, errors: [], skipped: [] }
+  if (!Array.isArray(patch)) {
+    result.errors.push(new PatchError('patch files must contain an array of operations or patch sets.')._locate(patchFile, []))
+    return result
+  }
+
+  try {
+    result.document = (await applyPatchArray(cloneValue(document), patch, [], patchFile, result)).document
+  } catch (err) {
+    if (!(err instanceof PatchError)) {
+      throw err
+    }
+
+    (err.isTestFailure ? result.skipped : result.errors).push(err)
+  }
+
+  return result
+}
+
+/**
+ * Loads a JSON asset and applies every matching `.patch` file to it.
+ * Patch files are found at the asset's virtualPath with `.patch` appended, and are applied in the order their sources are given.
+ * Both the asset and its patches are parsed as Starbound's relaxed JSON, so may contain comments.
+ *
+ * @throws {Error} - Throws when the base asset does not exist or is not valid JSON.
+ *
+ * @param  files - The SBAsset6 archive or FileMapper to load the base asset from.
+ * @param  virtualPath - The virtualPath of the base asset.
+ * @param  patchSources - The SBAsset6 archives or FileMappers to load `.patch` files from. Defaults to the base asset's own source.
+ * @return {Promise<PatchResult>} - The patched document, along with every operation that failed.
+ *
+ * @example
+ * ```
+ * const base = new SBAsset6('/path/to/assets/packed.pak')
+ * const mod = new SBAsset6('/path/to/mod.pak')
+ * await base.load()
+ * await mod.load()
+ *
+ * const { document, errors, skipped } = await patchAsset(base, '/universe_server.config', [mod])
+ * ```
+ */
+export async function patchAsset (files: SBAsset6 | FileMapper, virtualPath: string, patchSources?: Array<SBAsset6 | FileMapper>): Promise<PatchResult> {
+  const base = files instanceof SBAsset6 ? files.files : files
+  let document: any
+  try {
+    document = await base.getJSON(virtualPath)
+  } catch (err) {
+    throw new Error(`Failed to parse ${virtualPath}: ${(err as Error).message}`)
+  }
+
+  const result: PatchResult = { document, errors: [], skipped: [] }
+  const patchPath = virtualPath + '.patch'
+  for (const source of patchSources ?? [base]) {
+    const mapper = source instanceof SBAsset6 ? source.files : source
+    if (!(await mapper.exists(patchPath))) {
+      continue
+    }
+
+    let patch: any
+    try {
+      patch = await mapper.getJSON(patchPath)
+    } catch (err) {
+      result.errors.push(new PatchError(`failed to parse patch file: ${(err as Error).message}`)._locate(patchPath, []))
+      continue
+    }
+
+    const patched = await applyPatch(result.document, patch, patchPath)
+    result.document = patched.document
+    result.errors.push(...patched.errors)
+    result.skipped.push(...patched.skipped)
+  }
+
+  return result
+}
+
+/**
+ * Applies a list of operations and patch sets to a document, in place.
+ *
+ * @throws {PatchError} - Throws when an operation (outside of a nested patch set) fails.
+ *
+ * @param  document - The document to patch.
+ * @param  patch - The list of operations and patch sets.
+ * @param  index - The position of the list within the patch file.
+ * @param  patchFile - The virtualPath of the `.patch` file, for error reporting.
+ * @param  result - Where to report failures within nested patch sets.
+ * @return {Promise<{ document: any, aborted: boolean }>} - The patched document, and whether a failed patch set stopped the rest of the patch file from being applied.
+ */
+async function applyPatchArray (document: any, patch: any[], index: number[], patchFile: string | undefined, result: PatchResult): Promise<{ document: any, aborted: boolean }> {
+  for (const i in patch) {
+    const position = index.concat(Number(i))
+    if (Array.isArray(patch[i])) {
+      // patch sets are all-or-nothing, so work on a copy and only keep it if the whole set applies
+      try {
+        const res = await applyPatchArray(cloneValue(document), patch[i], position, patchFile, result)
+        document = res.document
+        if (res.aborted) {
+          return res
+        }
+      } catch (err) {
+        if (!(err instanceof PatchError)) {
+          throw err
+        }
+        if (err.isTestFailure) {
+          result.skipped.push(err)
+          continue
+        }
+
+        // anything other than a failed test stops the rest of the patch file, as it does in the game
+        result.errors.push(err)
+        return { document, aborted: true }
+      }
+      continue
+    }
+
+    try {
+      document = await applyOperation(document, patch[i])
+    } catch (err) {
+      if (err instanceof PatchError) {
+        throw err._locate(patchFile, position)
+      }
+      throw err
+    }
+  }
+
+  return { document, aborted: false }
+}
+
+/**
+ * Parses a JSON Pointer into its unescaped reference tokens.
+ *
+ * @throws {PatchError} - Throws when the pointer is malformed.
+ *
+ * @param  pointer - The JSON Pointer to parse.
+ * @param  operation - The operation the pointer belongs to, for error reporting.
+ * @return {string[]}
+ */
+function parsePointer (pointer: string, operation: PatchOperation): string[] {
+  if (pointer === '') {
+    return []
+  }
+  if (!pointer.startsWith('/')) {
+    throw new PatchError(`invalid JSON Pointer ${JSON.stringify(pointer)}; pointers must start with "/".`, operation)
+  }
+
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * Gets the value at the location referenced by the given tokens.
+ *
+ * @throws {PatchError} - Throws when the location does not exist.
+ *
+ * @param  document - The document to search.
+ * @param  tokens - The reference tokens of the location.
+ * @param  operation - The operation being applied, for error reporting.
+ * @return {any}
+ */
+function getValue (document: any, tokens: string[], operation: PatchOperation): any {
+  let value = document
+  for (const i in tokens) {
+    const token = tokens[i]
+    const location = '/' + tokens.slice(0, Number(i) + 1).join('/')
+    if (Array.isArray(value)) {
+      const index = arrayIndex(value, token, false, operation)
+      if (index >= value.length) {
+        throw new PatchError(`${location} does not exist; index ${index} is out of bounds.`, operation)
+      }
+      value = value[index]
+    } else if (typeof value === 'object' && value !== null) {
+      if (!(Object.prototype.hasOwnProperty.call(value, token) as boolean)) {
+        throw new PatchError(`${location} does not exist.`, operation)
+      }
+      value = value[token]
+    } else {
+      throw new PatchError(`${location} does not exist; its parent is not an object or array.`, operation)
+    }
+  }
+
+  return value
+}
+
+/**
+ * Adds a value at the location referenced by the given tokens, in place.
+ *
+ * @throws {PatchError} - Throws when the location's parent does not exist.
+ *
+ * @param  document - The document to modify.
+ * @param  tokens - The reference tokens of the location.
+ * @param  value - The value to add.
+ * @param  operation - The operation being applied, for error reporting.
+ * @return {any} - The modified document.
+ */
+function addValue (document: any, tokens: string[], value: any, operation: PatchOperation): any {
+  if (tokens.length === 0) {
+    return value
+  }
+
+  const parent = getValue(document, tokens.slice(0, -1), operation)
+  const token = tokens[tokens.length - 1]
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, true, operation), 0, value)
+  } else if (typeof parent === 'object' && parent !== null) {
+    setProperty(parent, token, value)
+  } else {
+    throw new PatchError(`cannot add to ${operation.path}; its parent is not an object or array.`, operation)
+  }
+
+  return document
+}
+
+/**
+ * Removes the value at the location referenced by the given tokens, in place.
+ *
+ * @throws {PatchError} - Throws when the location does not exist.
+ *
+ * @param  document - The document to modify.
+ * @param  tokens - The reference tokens of the location.
+ * @param  operation - The operation being applied, for error reporting.
+ * @return {any} - The modified document.
+ */
+function removeValue (document: any, tokens: string[], operation: PatchOperation): any {
+  if (tokens.length === 0) {
+    throw new PatchError('cannot remove the root of the document.', operation)
+  }
+
+  // make sure the value actually exists first
+  getValue(document, tokens, operation)
+
+  const parent = getValue(document, tokens.slice(0, -1), operation)
+  const token = tokens[tokens.length - 1]
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, false, operation), 1)
+  } else {
+    Reflect.deleteProperty(parent, token)
+  }
+
+  return document
+}
+
+/**
+ * Parses a reference token as an index into an array.
+ *
+ * @throws {PatchError} - Throws when the token is not a valid array index.
+ *
+ * @param  array - The array being indexed.
+ * @param  token - The reference token.
+ * @param  adding - Whether the index is for an add operation, which allows `-` and the index one past the end.
+ * @param  operation - The operation being applied, for error reporting.
+ * @return {number}
+ */
+function arrayIndex (array: any[], token: string, adding: boolean, operation: PatchOperation): number {
+  if (token === '-' && adding) {
+    return array.length
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new PatchError(`invalid array index ${JSON.stringify(token)} in ${operation.path}.`, operation)
+  }
+
+  const index = Number(token)
+  if (adding && index > array.length) {
+    throw new PatchError(`index ${index} is out of bounds for ${operation.path}.`, operation)
+  }
+
+  return index
+}
+
+/**
+ * Deep-compares two JSON values.
+ *
+ * @private
+ * @hidden
+ *
+ * @param  a - The first value.
+ * @param  b - The second value.
+ * @return {boolean}
+ */
+export function equalValues (a: any, b: any): boolean {
+  if (a === b) {
+    return true
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((value, i) => equalValues(value, b[i]))
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false
+  }
+
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => (Object.prototype.hasOwnProperty.call(b, key) as boolean) && equalValues(a[key], b[key]))
+}
+
+/**
+ * Deep-clones a JSON value.
+ *
+ * @private
+ * @hidden
+ *
+ * @param  value - The value to clone.
+ * @return {any}
+ */
+export function cloneValue (value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(cloneValue)
+  }
+  if (typeof value === 'object' && value !== null) {
+    const res: { [index: string]: any } = {}
+    for (const key of Object.keys(value)) {
+      setProperty(res, key, cloneValue(value[key]))
+    }
+
+    return res
+  }
+
+  return value
+}
+
+/**
+ * Sets a property of an object, in place.
+ * The property is defined rather than assigned, so that a "__proto__" key is just another key - as with JSON.parse().
+ *
+ * @param  object - The object to modify.
+ * @param  key - The key of the property.
+ * @param  value - The value to set.
+ * @return {void}
+ */
+function setProperty (object: { [index: string]: any }, key: string, value: any): void {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true })
+}
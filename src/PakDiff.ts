@@ -0,0 +1,239 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format.
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import { createHash } from 'crypto'
+import { SBAsset6 } from './SBAsset6'
+import { FileMapper } from './FileMapper'
+import { cloneValue, equalValues } from './JSONPatch'
+
+/**
+ * Abstracts the differences between the files of two archives.
+ * Each list contains virtual paths, sorted.
+ */
+export interface FileDiff {
+  /**
+   * Files only present in the newer archive.
+   */
+  added: string[]
+
+  /**
+   * Files only present in the older archive.
+   */
+  removed: string[]
+
+  /**
+   * Files present in both archives, with differing contents.
+   */
+  modified: string[]
+
+  /**
+   * Files present in both archives, with identical contents.
+   */
+  unchanged: string[]
+}
+
+/**
+ * Abstracts a change to a single top-level key of an archive's metadata.
+ */
+export interface MetadataChange {
+  /**
+   * The metadata key that changed.
+   */
+  key: string
+
+  /**
+   * How the key changed - one of `added`, `removed` or `modified`.
+   */
+  change: 'added' | 'removed' | 'modified'
+
+  /**
+   * The value in the older archive; omitted for added keys.
+   */
+  before?: any
+
+  /**
+   * The value in the newer archive; omitted for removed keys.
+   */
+  after?: any
+}
+
+/**
+ * Abstracts the differences between two archives.
+ */
+export interface PakDiff {
+  /**
+   * The differences between the files of the two archives.
+   */
+  files: FileDiff
+
+  /**
+   * The differences between the metadata of the two archives, sorted by key.
+   */
+  metadata: MetadataChange[]
+}
+
+/**
+ * Options for comparing two archives.
+ */
+export interface DiffOptions {
+  /**
+   * The hash algorithm to compare file contents with; anything supported by `crypto.createHash`. Defaults to `sha1`.
+   */
+  algorithm?: string
+}
+
+/**
+ * Compares two archives, reporting which files were added, removed, modified or left unchanged, and how their metadata changed.
+ * Files are compared by size first, and only hashed (while streamed, so never fully loaded) when their sizes match.
+ * The result contains only plain JSON values, so it can be serialized with `JSON.stringify()` as-is.
+ *
+ * @param  before - The older archive (or FileMapper).
+ * @param  after - The newer archive (or FileMapper).
+ * @param  options - Options for comparing the archives.
+ * @return {Promise<PakDiff>} - The differences between the two archives. FileMappers are treated as having empty metadata.
+ *
+ * @example
+ * ```
+ * const previous = new SBAsset6('/path/to/mod-1.0.0.pak')
+ * const current = new SBAsset6('/path/to/mod-1.1.0.pak')
+ * await previous.load()
+ * await current.load()
+ *
+ * const changes = await diffPaks(previous, current)
+ * await fs.promises.writeFile('/path/to/changes.json', JSON.stringify(changes, null, 2))
+ * ```
+ */
+export async function diffPaks (before: SBAsset6 | FileMapper, after: SBAsset6 | FileMapper, options: DiffOptions = {}): Promise<PakDiff> {
+  return {
+    files: await diffFiles(before instanceof SBAsset6 ? before.files : before, after instanceof SBAsset6 ? after.files : after, options),
+    metadata: await diffMetadata(before instanceof SBAsset6 ? before.metadata : {}, after instanceof SBAsset6 ? after.metadata : {})
+  }
+}
+
+/**
+ * Compares the files of two FileMappers.
+ * Files are compared by size first, and only hashed (while streamed, so never fully loaded) when their sizes match.
+ *
+ * @param  before - The older FileMapper.
+ * @param  after - The newer FileMapper.
+ * @param  options - Options for comparing the files.
+ * @return {Promise<FileDiff>} - The differences between the files of the two FileMappers.
+ */
+export async function diffFiles (before: FileMapper, after: FileMapper, options: DiffOptions = {}): Promise<FileDiff> {
+  const algorithm = options.algorithm ?? 'sha1'
+  const result: FileDiff = { added: [], removed: [], modified: [], unchanged: [] }
+
+  const beforeFiles = new Set(await before.list())
+  const afterFiles = new Set(await after.list())
+  const paths = Array.from(new Set([...beforeFiles, ...afterFiles])).sort()
+  for (const virtualPath of paths) {
+    if (!beforeFiles.has(virtualPath)) {
+      result.added.push(virtualPath)
+    } else if (!afterFiles.has(virtualPath)) {
+      result.removed.push(virtualPath)
+    } else if (await sameContents(before, after, virtualPath, algorithm)) {
+      result.unchanged.push(virtualPath)
+    } else {
+      result.modified.push(virtualPath)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Compares two archive metadata objects, key by key.
+ * Values are deep-compared, so reordered object keys are not considered a change.
+ *
+ * @param  before - The older metadata.
+ * @param  after - The newer metadata.
+ * @return {Promise<MetadataChange[]>} - Every key that was added, removed or modified, sorted by key.
+ */
+export async function diffMetadata (before: { [index: string]: any }, after: { [index: string]: any }): Promise<MetadataChange[]> {
+  const changes: MetadataChange[] = []
+  const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort()
+  for (const key of keys) {
+    const inBefore = Object.prototype.hasOwnProperty.call(before, key) as boolean
+    const inAfter = Object.prototype.hasOwnProperty.call(after, key) as boolean
+    if (!inBefore) {
+      changes.push({ key, change: 'added', after: cloneValue(after[key]) })
+    } else if (!inAfter) {
+      changes.push({ key, change: 'removed', before: cloneValue(before[key]) })
+    } else if (!equalValues(before[key], after[key])) {
+      changes.push({ key, change: 'modified', before: cloneValue(before[key]), after: cloneValue(after[key]) })
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Builds a new (unsaved) archive containing only the files that were added or modified, using the newer archive's metadata.
+ * File data is not read until the delta archive is saved.
+ * Note that archives cannot express file removal; removed files are only listed in the diff.
+ *
+ * @param  after - The newer archive (or FileMapper) that was compared.
+ * @param  changes - The result of comparing the two archives, from diffPaks() or diffFiles().
+ * @return {Promise<SBAsset6>} - The delta archive, ready to be saved with SBAsset6.saveTo().
+ *
+ * @example
+ * ```
+ * const changes = await diffPaks(previous, current)
+ * const hotfix = await createDelta(current, changes)
+ * hotfix.metadata.priority = (current.metadata.priority ?? 0) + 1
+ * await hotfix.saveTo('/path/to/mod-hotfix.pak')
+ * ```
+ */
+export async function createDelta (after: SBAsset6 | FileMapper, changes: PakDiff | FileDiff): Promise<SBAsset6> {
+  const files = after instanceof SBAsset6 ? after.files : after
+  const fileChanges = 'files' in changes ? changes.files : changes
+
+  const delta = new SBAsset6()
+  delta.metadata = after instanceof SBAsset6 ? cloneValue(after.metadata) : {}
+  for (const virtualPath of [...fileChanges.added, ...fileChanges.modified].sort()) {
+    await delta.files.setFile(virtualPath, await files.getFileMeta(virtualPath))
+  }
+
+  return delta
+}
+
+/**
+ * Checks whether a file has the same contents in two FileMappers, by size and then by hash.
+ *
+ * @param  before - The older FileMapper.
+ * @param  after - The newer FileMapper.
+ * @param  virtualPath - The virtualPath of the file to compare.
+ * @param  algorithm - The hash algorithm to compare contents with.
+ * @return {Promise<boolean>}
+ */
+async function sameContents (before: FileMapper, after: FileMapper, virtualPath: string, algorithm: string): Promise<boolean> {
+  const beforeRange = await before.getFileRange(virtualPath)
+  const afterRange = await after.getFileRange(virtualPath)
+  if (beforeRange.filelength !== afterRange.filelength) {
+    return false
+  }
+
+  return await hashFile(before, virtualPath, algorithm) === await hashFile(after, virtualPath, algorithm)
+}
+
+/**
+ * Hashes a file's contents as they're streamed from its source.
+ *
+ * @param  files - The FileMapper containing the file.
+ * @param  virtualPath - The virtualPath of the file to hash.
+ * @param  algorithm - The hash algorithm to use.
+ * @return {Promise<string>} - The hex-encoded digest.
+ */
+async function hashFile (files: FileMapper, virtualPath: string, algorithm: string): Promise<string> {
+  const hash = createHash(algorithm)
+  for await (const chunk of await files.createReadStream(virtualPath)) {
+    hash.update(chunk)
+  }
+
+  return hash.digest('hex')
+}
@@ -8,16 +8,19 @@
 
 import { EventEmitter } from 'events'
 import * as fs from 'fs'
+import * as path from 'path'
+import { Readable, Writable, pipeline } from 'stream'
+import { promisify } from 'util'
 import { Uint64BE } from 'int64-buffer'
 import {
+  ConsumableBuffer,
   ConsumableFile,
-  ExpandingFile,
   ExpandingBuffer,
-  StreamPipeline,
   ConsumableResource
 } from 'byteaccordion'
 import { SBON } from 'sbon'
 import { FileMapper } from './FileMapper'
+import { parseJSON } from './StarboundJSON'
 
 /**
  * Abstracts the result of loading an SBAsset6 archive.
@@ -34,6 +37,162 @@ export interface LoadResult {
   files: string[]
 }
 
+/**
+ * Abstracts a single problem found while verifying an SBAsset6 archive.
+ */
+export interface VerifyIssue {
+  /**
+   * The kind of problem found:
+   *   - `header` - the archive is too small, or does not start with the SBAsset6 header.
+   *   - `index` - the metatable pointer in the header does not point to an `INDEX` metatable.
+   *   - `metadata` - the archive metadata could not be read.
+   *   - `filetable` - the file table is truncated or corrupt.
+   *   - `entry-range` - a file's offset and length fall outside of the archive's file data.
+   *   - `overlap` - two files' contents overlap.
+   *   - `duplicate` - a virtual path appears more than once in the file table.
+   *   - `trailing-data` - there is unexpected data after the end of the metatable.
+   */
+  type: 'header' | 'index' | 'metadata' | 'filetable' | 'entry-range' | 'overlap' | 'duplicate' | 'trailing-data'
+
+  /**
+   * A human-readable description of the problem.
+   */
+  message: string
+
+  /**
+   * The virtual path of the file the problem concerns, if any.
+   */
+  path?: string
+
+  /**
+   * The offset within the archive that the problem concerns, in bytes, if any.
+   */
+  offset?: number
+}
+
+/**
+ * Abstracts the result of verifying an SBAsset6 archive.
+ */
+export interface VerifyReport {
+  /**
+   * Whether the archive is free of problems.
+   */
+  valid: boolean
+
+  /**
+   * The size of the archive, in bytes.
+   */
+  size: number
+
+  /**
+   * The offset of the metatable that was used, if one could be found. This may differ from the header's pointer if the pointer is damaged.
+   */
+  metatablePosition: number | undefined
+
+  /**
+   * The number of file table entries that could be read.
+   */
+  files: number
+
+  /**
+   * Every problem found within the archive.
+   */
+  issues: VerifyIssue[]
+}
+
+/**
+ * Abstracts the result of salvaging a damaged SBAsset6 archive.
+ */
+export interface SalvageResult extends LoadResult {
+  /**
+   * The verification report for the archive, describing everything that was wrong with it.
+   */
+  report: VerifyReport
+
+  /**
+   * Virtual paths from the file table that could not be recovered, because their contents lie outside of the archive's file data.
+   */
+  dropped: string[]
+}
+
+/**
+ * Abstracts everything learned by inspecting an SBAsset6 archive.
+ *
+ * @private
+ * @hidden
+ */
+export interface Inspection {
+  /**
+   * The verification report for the archive.
+   */
+  report: VerifyReport
+
+  /**
+   * The archive metadata, if it could be read.
+   */
+  metadata: { [index: string]: any } | undefined
+
+  /**
+   * The file table entries whose contents lie within the archive's file data. Where paths are duplicated, only the last entry is kept.
+   */
+  filetable: FileTableEntry[]
+
+  /**
+   * Virtual paths of file table entries whose contents lie outside of the archive's file data.
+   */
+  dropped: string[]
+}
+
+/**
+ * Abstracts what could be read of a single metatable.
+ *
+ * @private
+ * @hidden
+ */
+export interface MetatableScan {
+  /**
+   * The offset of the metatable (its `INDEX` marker) within the archive.
+   */
+  position: number
+
+  /**
+   * The archive metadata, if it could be read.
+   */
+  metadata: { [index: string]: any } | undefined
+
+  /**
+   * The file table entries that could be read.
+   */
+  filetable: FileTableEntry[]
+
+  /**
+   * Problems found while reading the metatable.
+   */
+  issues: VerifyIssue[]
+
+  /**
+   * Whether the entire file table could be read.
+   */
+  complete: boolean
+
+  /**
+   * The offset just past the end of the metatable, if the entire file table could be read.
+   */
+  end: number | undefined
+}
+
+/**
+ * Options for importing a directory into an SBAsset6 archive.
+ */
+export interface PackOptions {
+  /**
+   * Patterns for files that should be excluded from the archive.
+   * These are matched against the normalized virtual path (e.g. `/items/foo.json`); strings are treated as regular expressions,
+   *   the same as the `globalIgnore` patterns used by the game's asset_packer.
+   */
+  ignore?: Array<string | RegExp>
+}
+
 /**
  * Abstracts the rough structure of the metatable of an SBAsset6 archive.
  *
@@ -78,19 +237,20 @@ export interface FileTableEntry {
 export class SBAsset6 {
   /**
    * The path to the SBAsset6-encoded archive file.
+   * Undefined for archives that were loaded from a Buffer or stream, or that are only ever saved with SBAsset6.saveTo().
    *
    * @private
    * @hidden
    */
-  public path: string
+  public path: string | undefined
 
   /**
-   * The ConsumableFile instance for the SBAsset6 archive.
+   * The ConsumableFile (or, for archives loaded from a Buffer or stream, ConsumableBuffer) instance for the SBAsset6 archive.
    *
    * @private
    * @hidden
    */
-  public file: ConsumableFile | undefined
+  public file: ConsumableFile | ConsumableBuffer | undefined
 
   /**
    * The offset of the metatable inside the SBAsset6 archive.
@@ -100,6 +260,14 @@ export class SBAsset6 {
    */
   public metatablePosition: Uint64BE | undefined
 
+  /**
+   * Whether the archive was loaded with SBAsset6.salvage(), and so may contain damaged data that shouldn't be kept.
+   *
+   * @private
+   * @hidden
+   */
+  public salvaged: boolean
+
   /**
    * The metadata for the SBAsset6 archive.
    * This is a Javascript object representation of the metadata file documented on the [Starbounder wiki](https://starbounder.org/Modding:Metadata_file).
@@ -121,6 +289,7 @@ export class SBAsset6 {
    *   (otherwise known as Starbound .pak files).
    *
    * @param  path - The filepath for the archive we're going to work with.
+   *   May be omitted when the archive will be loaded from a Buffer or stream, or only saved via SBAsset6.saveTo().
    * @return {SBAsset6}
    *
    * @example
@@ -135,14 +304,34 @@ export class SBAsset6 {
    * // note, this file should exist within the files array above
    * ```
    */
-  constructor (path: string) {
+  constructor (path?: string) {
     this.path = path
     this.file = this.metatablePosition = undefined
+    this.salvaged = false
     this.metadata = {}
     this.files = new FileMapper()
     this.progress = new EventEmitter()
   }
 
+  /**
+   * Creates an SBAsset6 instance and loads the archive from the provided Buffer, without touching the filesystem.
+   *
+   * @param  buf - The Buffer containing the entire SBAsset6 archive.
+   * @return {Promise<SBAsset6>} - The loaded SBAsset6 instance.
+   *
+   * @example
+   * ```
+   * const pak = await SBAsset6.fromBuffer(uploadedBuffer)
+   * const files = await pak.files.list()
+   * ```
+   */
+  public static async fromBuffer (buf: Buffer): Promise<SBAsset6> {
+    const pak = new SBAsset6()
+    await pak.load(buf)
+
+    return pak
+  }
+
   /**
    * Reads the header of a file and identifies if it is SBAsset6 format.
    *
@@ -257,156 +446,772 @@ export class SBAsset6 {
   }
 
   /**
-   * Loads the archive, parses everything out and then provides access to the archive files and metadata.
-   * This is a convenience method for the common workflow of loading the archive.
+   * Normalizes a filesystem path (relative to the directory being packed) into a `/`-rooted virtual path.
    *
-   * @return {Promise<LoadResult>} - An object containing the archive's metadata and all files contained in the archive that can be read out.
+   * @private
+   * @hidden
    *
-   * @emits load.start - `{ message, target }` - `target` is the archive we're trying to load.
-   * @emits load.header - `{ message }`
-   * @emits load.metatable - `{ message }`
-   * @emits load.files - `{ message, total }` - `total` is the total number of files found in the archive.
-   * @emits load.file.progress - `{ message, target, index }` - `target` is the virtualPath the file whose metadata we're loading into the FileMapper,
-   *   and `index` tells us how many files in we are (X, where "File X of Y").
-   * @emits load.done - `{ message }`
+   * @param  relativePath - The filesystem path, relative to the root of the directory being packed.
+   * @return {string} - The normalized virtual path.
+   */
+  public static _normalizeVirtualPath (relativePath: string): string {
+    return '/' + relativePath.split(/[\\/]+/).filter(part => part !== '' && part !== '.').join('/')
+  }
+
+  /**
+   * Recursively walks a directory, collecting the paths of all files found within it.
+   * Symlinks are followed, as the game's asset_packer would.
    *
-   * @example
-   * ```
-   * const filepath = '/path/to/mod.pak'
-   * const pak = new SBAsset6(filepath)
-   * const { metadata, files } = await pak.load()
-   * ```
+   * @private
+   * @hidden
+   *
+   * @throws {Error} - Throws when an entry is neither a file nor a directory (or a symlink to one), or when symlinks form a loop.
+   *
+   * @param  directory - The directory to walk.
+   * @param  ancestors - The real paths of the directories being walked above this one, used to detect symlink loops.
+   * @return {Promise<string[]>} - The paths of all files within the directory, sorted for reproducible builds.
    */
-  public async load (): Promise<LoadResult> {
-    // first, open the pak file up
-    this.file = new ConsumableFile(this.path)
-    this.progress.emit('load.start', { message: 'Loading archive file', target: this.path })
-    await this.file.open()
+  public static async _walkDirectory (directory: string, ancestors: string[] = []): Promise<string[]> {
+    const realDirectory = await fs.promises.realpath(directory)
+    if (ancestors.includes(realDirectory)) {
+      throw new Error(`Refusing to import ${directory}, as symlinks within the directory form a loop.`)
+    }
 
-    // read/verify the header
-    this.progress.emit('load.header', { message: 'Reading archive header' })
-    this.metatablePosition = await SBAsset6._readHeader(this.file)
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true })
+    entries.sort((a, b) => a.name < b.name ? -1 : (a.name > b.name ? 1 : 0))
 
-    // extract the metatable
-    this.progress.emit('load.metatable', { message: 'Reading archive metatable' })
-    const meta = await SBAsset6._readMetatable(this.file, this.metatablePosition)
+    let files: string[] = []
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name)
 
-    this.progress.emit('load.files', { message: 'Loading archive file data into FileMapper', total: meta.filetable.length })
-    for (const i in meta.filetable) {
-      const fileEntry = meta.filetable[i]
-      this.progress.emit('load.file.progress', { message: 'Loading file into FileMapper', target: fileEntry.path, index: i })
-      await this.files.setFile(fileEntry.path, {
-        source: {
-          pak: this
-        },
-        start: fileEntry.offset,
-        filelength: fileEntry.filelength
-      })
+      // stat() follows symlinks through to whatever they point at
+      const stats = entry.isSymbolicLink() ? await fs.promises.stat(entryPath) : entry
+      if (stats.isDirectory()) {
+        files = files.concat(await SBAsset6._walkDirectory(entryPath, [...ancestors, realDirectory]))
+      } else if (stats.isFile()) {
+        files.push(entryPath)
+      } else {
+        throw new Error(`Cannot import ${entryPath}, as it is neither a file nor a directory.`)
+      }
     }
-    this.metadata = meta.metadata
 
-    // return the important metatable info.
-    this.progress.emit('load.done', { message: 'Loading archive file complete' })
-    return {
-      metadata: this.metadata,
-      files: await this.files.list()
-    }
+    return files
   }
 
   /**
-   * Close the SBAsset6 archive and flush everything from memory.
-   * Does not save changes!
+   * Gets the total size of an opened archive.
    *
-   * @return {Promise<void>}
+   * @private
+   * @hidden
    *
-   * @emits close - `{ message }`
+   * @param  sbuf - The opened archive.
+   * @return {number} - The size of the archive, in bytes.
+   */
+  public static _resourceSize (sbuf: ConsumableFile | ConsumableBuffer): number {
+    return sbuf instanceof ConsumableBuffer ? sbuf.originalBuffer.length : (sbuf.filesize ?? 0)
+  }
+
+  /**
+   * Gets the current read position within an opened archive.
    *
-   * @example
-   * ```
-   * const filepath = '/path/to/mod.pak'
-   * const pak = new SBAsset6(filepath)
-   * const { metadata, files } = await pak.load()
-   * // you know have access to metadata and files. yay!
+   * @private
+   * @hidden
    *
-   * // ...
+   * @param  sbuf - The opened archive.
+   * @return {number} - The read position, in bytes.
+   */
+  public static _resourcePosition (sbuf: ConsumableFile | ConsumableBuffer): number {
+    return sbuf instanceof ConsumableBuffer ? sbuf.originalBuffer.length - sbuf.buf.length : sbuf.position
+  }
+
+  /**
+   * Reads a chunk of an opened archive by position, without disturbing its read position.
+   * Reads beyond the end of the archive are cut short.
    *
-   * // all done here. time to clean up and release resources.
+   * @private
+   * @hidden
    *
-   * await pak.close()
-   * ```
+   * @throws {Error} - Throws when the archive hasn't been opened yet.
+   *
+   * @param  sbuf - The opened archive.
+   * @param  position - How far into the archive to read from, in bytes.
+   * @param  length - The amount of data to read, in bytes.
+   * @return {Promise<Buffer>} - The data read.
    */
-  public async close (): Promise<void> {
-    if (this.file !== undefined) {
-      this.progress.emit('close', { message: 'Closing archive file' })
-      await this.file.close()
+  public static async _readAt (sbuf: ConsumableFile | ConsumableBuffer, position: number, length: number): Promise<Buffer> {
+    if (sbuf instanceof ConsumableBuffer) {
+      return sbuf.originalBuffer.subarray(position, position + length)
     }
-    this.file = this.metatablePosition = undefined
-    this.metadata = {}
-    this.files = new FileMapper()
+    if (sbuf.fh === undefined) {
+      throw new Error('Cannot read from unopened archive.')
+    }
+
+    const { bytesRead, buffer } = await sbuf.fh.read(Buffer.alloc(length), 0, length, position)
+    return buffer.subarray(0, bytesRead)
   }
 
   /**
-   * Get whether or not the pak itself has been "loaded" from the filesystem.
-   * Instances that are *going* to be created will be considered "unloaded" as no original pak exists.
+   * Finds every occurrence of a marker within an opened archive.
    *
-   * @return {Promise<boolean>}
+   * @private
+   * @hidden
    *
-   * @example
-   * ```
-   * const filepath = '/path/to/mod.pak'
-   * const pak = new SBAsset6(filepath)
-   * const { metadata, files } = await pak.load()
-   * // you know have access to metadata and files. yay!
+   * @param  sbuf - The opened archive.
+   * @param  marker - The marker to search for.
+   * @return {Promise<number[]>} - The offsets of every occurrence of the marker, in ascending order.
+   */
+  public static async _findMarkers (sbuf: ConsumableFile | ConsumableBuffer, marker: Buffer): Promise<number[]> {
+    const size = SBAsset6._resourceSize(sbuf)
+    const chunkSize = 1024 * 1024
+    const found: number[] = []
+
+    // chunks overlap slightly, so that markers straddling two chunks are still found
+    for (let position = 0; position < size; position += chunkSize) {
+      const chunk = await SBAsset6._readAt(sbuf, position, chunkSize + marker.length - 1)
+      let index = chunk.indexOf(marker)
+      while (index !== -1 && index < chunkSize) {
+        found.push(position + index)
+        index = chunk.indexOf(marker, index + 1)
+      }
+    }
+
+    return found
+  }
+
+  /**
+   * Reads as much of a file table as possible, stopping at the first unreadable entry.
    *
-   * // ...
+   * @private
+   * @hidden
    *
-   * // wait, did we load the pak earlier? has it been closed since? let's check...
-   * const isOpen = await pak.isLoaded()
-   * ```
+   * @param  sbuf - The resource to read from, positioned at the start of the file table.
+   * @return {Promise<{ filetable: FileTableEntry[], expected: number, error: Error | undefined }>} - The entries read, how many entries the file table claims to have,
+   *   and the error that stopped reading, if any.
    */
-  public async isLoaded (): Promise<boolean> {
-    return this.file !== undefined
+  public static async _readFiletable (sbuf: ConsumableResource): Promise<{ filetable: FileTableEntry[], expected: number, error: Error | undefined }> {
+    const filetable: FileTableEntry[] = []
+    let expected = 0
+    try {
+      expected = await SBON.readVarInt(sbuf)
+      for (let i = 0; i < expected; i++) {
+        filetable.push({
+          path: await SBON.readString(sbuf),
+          offset: new Uint64BE(await sbuf.read(8)),
+          filelength: new Uint64BE(await sbuf.read(8))
+        })
+      }
+    } catch (err) {
+      return { filetable, expected, error: err }
+    }
+
+    return { filetable, expected, error: undefined }
   }
 
   /**
-   * Gets a specific chunk of data from the pak file we're working with.
+   * Parses a file table from a buffer, but only if it is plausible - it must run exactly to the end of the buffer,
+   *   every entry must be a virtual path, and every entry's contents must lie within the archive's file data.
    *
    * @private
    * @hidden
    *
-   * @throws {Error} - Throws when the pak file hasn't been opened yet.
-   *
-   * @param  offset - How far into the pak to seek to.
-   * @param  size - The amount of data to fetch.
-   * @return {Promise<Buffer>} - The data we're looking for.
+   * @param  buf - The buffer to parse, which must end where the archive does.
+   * @param  start - The offset within the buffer that the file table would start at.
+   * @param  dataEnd - The offset within the archive that file data must end by.
+   * @return {FileTableEntry[] | undefined} - The file table, or undefined if there isn't a plausible one at the given offset.
    */
-  public async getPakData (offset: Uint64BE, size: Uint64BE): Promise<Buffer> {
-    if (this.file === undefined) {
-      throw new Error('Cannot read from unopened pak in SBAsset6.getPakData')
+  public static _parseFiletable (buf: Buffer, start: number, dataEnd: number): FileTableEntry[] | undefined {
+    let position = start
+    const readVarInt = (): number | undefined => {
+      let value = 0
+      // anything longer than 8 bytes is far too large to be a count or a path length
+      for (let i = 0; i < 8 && position < buf.length; i++) {
+        const byte = buf[position++]
+        value = (value * 128) + (byte & 0x7F)
+        if ((byte & 0x80) === 0) {
+          return value
+        }
+      }
+      return undefined
     }
 
-    return SBAsset6._getFile(this.file, offset, size)
+    // every entry takes at least 18 bytes - a one byte path length, a path of at least "/", and two Uint64BEs
+    const count = readVarInt()
+    if (count === undefined || count === 0 || count * 18 > buf.length - position) {
+      return undefined
+    }
+
+    const filetable: FileTableEntry[] = []
+    for (let i = 0; i < count; i++) {
+      const length = readVarInt()
+      if (length === undefined || length === 0 || position + length + 16 > buf.length || buf[position] !== 0x2F) {
+        return undefined
+      }
+
+      // check the entry's contents before decoding its path, as junk can claim very long paths
+      const offset = new Uint64BE(buf, position + length)
+      const filelength = new Uint64BE(buf, position + length + 8)
+      if (offset.toNumber() < 16 || offset.toNumber() + filelength.toNumber() > dataEnd) {
+        return undefined
+      }
+
+      filetable.push({ path: buf.toString('utf8', position, position + length), offset, filelength })
+      position += length + 16
+    }
+
+    return position === buf.length ? filetable : undefined
   }
 
   /**
-   * Save the currently generated SBAsset6 archive.
-   * Reloads the archive and rebuilds the FileMapper when saving is complete.
+   * Searches the end of an opened archive for anything that could be its file table, for when the metadata before it is unreadable.
+   * As the file table is the last thing in an archive, only file tables running exactly to the end of the archive are considered,
+   *   and only the last 16 MiB of the archive is searched.
    *
-   * @return {Promise<LoadResult>} - An object containing the archive's metadata and all files contained in the archive that can be read out.
+   * @private
+   * @hidden
    *
-   * @emits save.start - `{ message, target }` - `target` is the archive we're trying to save to.
-   * @emits save.header - `{ message }`
-   * @emits save.files - `{ message, total }` - `total` is the total number of files being written to the archive.
-   * @emits save.file.progress - `{ message, target, index }` - `target` is the virtualPath the file that we're writing to the archive,
-   *   and `index` tells us how many files in we are (X, where "File X of Y").
+   * @param  sbuf - The opened archive.
+   * @return {Promise<Array<{ start: number, filetable: FileTableEntry[] }>>} - Every plausible file table and the offset it starts at, latest first.
+   */
+  public static async _findFiletables (sbuf: ConsumableFile | ConsumableBuffer): Promise<Array<{ start: number, filetable: FileTableEntry[] }>> {
+    const size = SBAsset6._resourceSize(sbuf)
+    const regionStart = Math.max(16, size - 16 * 1024 * 1024)
+    const region = await SBAsset6._readAt(sbuf, regionStart, size - regionStart)
+
+    const found: Array<{ start: number, filetable: FileTableEntry[] }> = []
+    for (let start = region.length - 1; start >= 0; start--) {
+      const filetable = SBAsset6._parseFiletable(region, start, size)
+      if (filetable !== undefined) {
+        found.push({ start: regionStart + start, filetable })
+      }
+    }
+
+    return found
+  }
+
+  /**
+   * Reads as much of the metatable at the given position as possible, noting any problems found along the way.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  sbuf - The opened archive.
+   * @param  position - The offset of the metatable (its `INDEX` marker) within the archive.
+   * @param  findFiletables - Searches for file tables when the metadata is unreadable; lets callers scanning several metatables share one search.
+   * @return {Promise<MetatableScan>}
+   */
+  public static async _scanMetatable (
+    sbuf: ConsumableFile | ConsumableBuffer,
+    position: number,
+    findFiletables: () => Promise<Array<{ start: number, filetable: FileTableEntry[] }>> = async () => SBAsset6._findFiletables(sbuf)
+  ): Promise<MetatableScan> {
+    const size = SBAsset6._resourceSize(sbuf)
+    const scan: MetatableScan = { position, metadata: undefined, filetable: [], issues: [], complete: false, end: undefined }
+
+    await sbuf.aseek(position + 5)
+    try {
+      scan.metadata = await SBON.readMap(sbuf)
+    } catch (err) {
+      scan.issues.push({ type: 'metadata', message: `Archive metadata is unreadable: ${(err as Error).message}`, offset: position + 5 })
+
+      // without the metadata, we don't know where the file table starts - so take the largest file table after the metatable
+      //   whose entries all lie within the file data before it
+      for (const candidate of await findFiletables()) {
+        if (candidate.start < position + 5 || candidate.filetable.length <= scan.filetable.length) {
+          continue
+        }
+        if (candidate.filetable.every(entry => entry.offset.toNumber() + entry.filelength.toNumber() <= position)) {
+          scan.filetable = candidate.filetable
+          scan.complete = true
+          scan.end = size
+        }
+      }
+
+      if (!scan.complete) {
+        scan.issues.push({ type: 'filetable', message: 'The file table could not be found after the unreadable metadata.', offset: position + 5 })
+      }
+      return scan
+    }
+
+    const filetableStart = SBAsset6._resourcePosition(sbuf)
+    const res = await SBAsset6._readFiletable(sbuf)
+    scan.filetable = res.filetable
+    if (res.error !== undefined) {
+      scan.issues.push({
+        type: 'filetable',
+        message: `The file table is truncated or corrupt; only ${res.filetable.length} of ${res.expected} entries could be read: ${res.error.message}`,
+        offset: filetableStart
+      })
+    } else {
+      scan.complete = true
+      scan.end = SBAsset6._resourcePosition(sbuf)
+    }
+
+    return scan
+  }
+
+  /**
+   * Inspects an opened archive for problems, without trusting its header or metatable,
+   *   and works out which of its files can be safely read.
+   *
+   * @private
+   * @hidden
+   *
+   * @param  sbuf - The opened archive.
+   * @return {Promise<Inspection>}
+   */
+  public static async _inspect (sbuf: ConsumableFile | ConsumableBuffer): Promise<Inspection> {
+    const size = SBAsset6._resourceSize(sbuf)
+    const issues: VerifyIssue[] = []
+    const inspection: Inspection = {
+      report: { valid: false, size, metatablePosition: undefined, files: 0, issues },
+      metadata: undefined,
+      filetable: [],
+      dropped: []
+    }
+
+    if (size < 16) {
+      issues.push({ type: 'header', message: `Archive is only ${size} bytes long; too small to contain an SBAsset6 header.`, offset: 0 })
+      return inspection
+    }
+
+    const header = await SBAsset6._readAt(sbuf, 0, 16)
+    if (Buffer.compare(header.subarray(0, 8), Buffer.from('SBAsset6')) !== 0) {
+      issues.push({ type: 'header', message: 'File does not appear to be SBAsset6 format.', offset: 0 })
+      return inspection
+    }
+
+    // if the metatable pointer is broken, go looking for the metatable ourselves (starting from the end, where it should be)
+    const pointer = new Uint64BE(header.subarray(8, 16)).toNumber()
+    let candidates = [pointer]
+    let pointerIssue: VerifyIssue | undefined
+    if (pointer < 16 || pointer + 5 > size || Buffer.compare(await SBAsset6._readAt(sbuf, pointer, 5), Buffer.from('INDEX')) !== 0) {
+      pointerIssue = {
+        type: 'index',
+        message: pointer + 5 > size
+          ? `The metatable pointer (${pointer}) points beyond the end of the archive.`
+          : `The metatable pointer (${pointer}) does not point to an INDEX metatable.`,
+        offset: 8
+      }
+      issues.push(pointerIssue)
+      candidates = (await SBAsset6._findMarkers(sbuf, Buffer.from('INDEX'))).filter(position => position >= 16).reverse().slice(0, 64)
+    }
+
+    // searching for file tables is costly, so it's done at most once however many candidates have unreadable metadata
+    let filetables: Promise<Array<{ start: number, filetable: FileTableEntry[] }>> | undefined
+    const findFiletables = async (): Promise<Array<{ start: number, filetable: FileTableEntry[] }>> => {
+      filetables = filetables ?? SBAsset6._findFiletables(sbuf)
+      return filetables
+    }
+
+    let metatable: MetatableScan | undefined
+    for (const candidate of candidates) {
+      const scan = await SBAsset6._scanMetatable(sbuf, candidate, findFiletables)
+      if (scan.complete && scan.metadata !== undefined) {
+        metatable = scan
+        break
+      }
+      if (metatable === undefined || scan.filetable.length > metatable.filetable.length) {
+        metatable = scan
+      }
+    }
+
+    if (metatable === undefined || (pointerIssue !== undefined && metatable.metadata === undefined && metatable.filetable.length === 0)) {
+      if (pointerIssue !== undefined) {
+        pointerIssue.message += ' No metatable could be found elsewhere in the archive.'
+      }
+      return inspection
+    }
+    if (pointerIssue !== undefined) {
+      pointerIssue.message += ` A metatable was found at offset ${metatable.position}.`
+    }
+
+    issues.push(...metatable.issues)
+    inspection.metadata = metatable.metadata
+    inspection.report.metatablePosition = metatable.position
+    inspection.report.files = metatable.filetable.length
+
+    if (metatable.end !== undefined && metatable.end < size) {
+      issues.push({ type: 'trailing-data', message: `Found ${size - metatable.end} bytes of unexpected data after the end of the metatable.`, offset: metatable.end })
+    }
+
+    // check that every file lies within the file data - between the header and the metatable
+    const occurrences = new Map<string, number>()
+    const usable = new Map<string, FileTableEntry>()
+    for (const entry of metatable.filetable) {
+      occurrences.set(entry.path, (occurrences.get(entry.path) ?? 0) + 1)
+
+      const offset = entry.offset.toNumber()
+      const end = offset + entry.filelength.toNumber()
+      let problem: string | undefined
+      if (offset < 16) {
+        problem = `starts at offset ${offset}, inside the archive header`
+      } else if (end > size) {
+        problem = `ends at offset ${end}, beyond the end of the archive (${size} bytes)`
+      } else if (end > metatable.position) {
+        problem = `ends at offset ${end}, inside the metatable (which starts at offset ${metatable.position})`
+      }
+
+      if (problem !== undefined) {
+        issues.push({ type: 'entry-range', message: `${entry.path} ${problem}.`, path: entry.path, offset })
+        inspection.dropped.push(entry.path)
+        continue
+      }
+
+      // where paths are duplicated, the last entry wins - same as if the file table were loaded into a FileMapper
+      usable.delete(entry.path)
+      usable.set(entry.path, entry)
+    }
+    inspection.filetable = Array.from(usable.values())
+
+    for (const [path, count] of occurrences) {
+      if (count > 1) {
+        issues.push({ type: 'duplicate', message: `${path} appears ${count} times in the file table.`, path })
+      }
+    }
+
+    const sorted = inspection.filetable.filter(entry => entry.filelength.toNumber() > 0).sort((a, b) => a.offset.toNumber() - b.offset.toNumber())
+    let previous: FileTableEntry | undefined
+    for (const entry of sorted) {
+      const offset = entry.offset.toNumber()
+      const end = offset + entry.filelength.toNumber()
+      if (previous !== undefined) {
+        const previousEnd = previous.offset.toNumber() + previous.filelength.toNumber()
+        if (offset < previousEnd) {
+          issues.push({ type: 'overlap', message: `${entry.path} overlaps ${previous.path}, starting at offset ${offset}.`, path: entry.path, offset })
+        }
+        if (end <= previousEnd) {
+          continue
+        }
+      }
+      previous = entry
+    }
+
+    inspection.report.valid = issues.length === 0
+    return inspection
+  }
+
+  /**
+   * Loads the archive, parses everything out and then provides access to the archive files and metadata.
+   * This is a convenience method for the common workflow of loading the archive.
+   * Streams are not seekable, so archives loaded from a stream are read fully into memory first.
+   *
+   * @param  source - Where to load the archive from: a filepath, a Buffer or a Readable stream. Defaults to the path provided to the constructor.
+   * @return {Promise<LoadResult>} - An object containing the archive's metadata and all files contained in the archive that can be read out.
+   *
+   * @emits load.start - `{ message, target }` - `target` is the path of the archive we're trying to load (undefined for Buffers and streams).
+   * @emits load.header - `{ message }`
+   * @emits load.metatable - `{ message }`
+   * @emits load.files - `{ message, total }` - `total` is the total number of files found in the archive.
+   * @emits load.file.progress - `{ message, target, index }` - `target` is the virtualPath the file whose metadata we're loading into the FileMapper,
+   *   and `index` tells us how many files in we are (X, where "File X of Y").
+   * @emits load.done - `{ message }`
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * const { metadata, files } = await pak.load()
+   *
+   * // or, from an HTTP upload...
+   * const upload = new SBAsset6()
+   * await upload.load(req)
+   * ```
+   */
+  public async load (source?: string | Buffer | Readable): Promise<LoadResult> {
+    // first, open the pak file up
+    this.file = await this._openSource(source, 'load')
+    this.salvaged = false
+
+    // read/verify the header
+    this.progress.emit('load.header', { message: 'Reading archive header' })
+    this.metatablePosition = await SBAsset6._readHeader(this.file)
+
+    // extract the metatable
+    this.progress.emit('load.metatable', { message: 'Reading archive metatable' })
+    const meta = await SBAsset6._readMetatable(this.file, this.metatablePosition)
+
+    this.progress.emit('load.files', { message: 'Loading archive file data into FileMapper', total: meta.filetable.length })
+    for (const i in meta.filetable) {
+      const fileEntry = meta.filetable[i]
+      this.progress.emit('load.file.progress', { message: 'Loading file into FileMapper', target: fileEntry.path, index: i })
+      await this.files.setFile(fileEntry.path, {
+        source: {
+          pak: this
+        },
+        start: fileEntry.offset,
+        filelength: fileEntry.filelength
+      })
+    }
+    this.metadata = meta.metadata
+
+    // return the important metatable info.
+    this.progress.emit('load.done', { message: 'Loading archive file complete' })
+    return {
+      metadata: this.metadata,
+      files: await this.files.list()
+    }
+  }
+
+  /**
+   * Opens the archive from the provided source (or the path provided to the constructor), ready for reading.
+   *
+   * @private
+   * @hidden
+   *
+   * @throws {Error} - Throws when no source was provided and the SBAsset6 instance has no path.
+   *
+   * @param  source - Where to load the archive from: a filepath, a Buffer or a Readable stream.
+   * @param  action - The name of the action opening the archive, used for progress events and error messages.
+   * @return {Promise<ConsumableFile|ConsumableBuffer>} - The opened archive.
+   */
+  public async _openSource (source: string | Buffer | Readable | undefined, action: string): Promise<ConsumableFile | ConsumableBuffer> {
+    if (typeof source === 'string') {
+      this.path = source
+    }
+
+    if (Buffer.isBuffer(source)) {
+      this.progress.emit(`${action}.start`, { message: 'Loading archive buffer', target: undefined })
+      return new ConsumableBuffer(source)
+    } else if (source instanceof Readable) {
+      this.progress.emit(`${action}.start`, { message: 'Loading archive stream', target: undefined })
+      const chunks: Buffer[] = []
+      for await (const chunk of source) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk))
+      }
+
+      return new ConsumableBuffer(Buffer.concat(chunks))
+    }
+
+    if (this.path === undefined) {
+      throw new Error(`SBAsset6.${action} requires a path, Buffer or stream to load the archive from.`)
+    }
+
+    this.progress.emit(`${action}.start`, { message: 'Loading archive file', target: this.path })
+    const file = new ConsumableFile(this.path)
+    await file.open()
+
+    return file
+  }
+
+  /**
+   * Close the SBAsset6 archive and flush everything from memory.
+   * Does not save changes!
+   *
+   * @return {Promise<void>}
+   *
+   * @emits close - `{ message }`
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * const { metadata, files } = await pak.load()
+   * // you know have access to metadata and files. yay!
+   *
+   * // ...
+   *
+   * // all done here. time to clean up and release resources.
+   *
+   * await pak.close()
+   * ```
+   */
+  public async close (): Promise<void> {
+    if (this.file !== undefined) {
+      this.progress.emit('close', { message: 'Closing archive file' })
+      if (this.file instanceof ConsumableFile) {
+        await this.file.close()
+      }
+    }
+    this.file = this.metatablePosition = undefined
+    this.salvaged = false
+    this.metadata = {}
+    this.files = new FileMapper()
+  }
+
+  /**
+   * Get whether or not the pak itself has been "loaded" from the filesystem.
+   * Instances that are *going* to be created will be considered "unloaded" as no original pak exists.
+   *
+   * @return {Promise<boolean>}
+   *
+   * @example
+   * ```
+   * const filepath = '/path/to/mod.pak'
+   * const pak = new SBAsset6(filepath)
+   * const { metadata, files } = await pak.load()
+   * // you know have access to metadata and files. yay!
+   *
+   * // ...
+   *
+   * // wait, did we load the pak earlier? has it been closed since? let's check...
+   * const isOpen = await pak.isLoaded()
+   * ```
+   */
+  public async isLoaded (): Promise<boolean> {
+    return this.file !== undefined
+  }
+
+  /**
+   * Verifies the archive's structure without trusting its header or metatable, and reports every problem found.
+   * Uses the already-loaded archive if there is one, otherwise the archive at the path provided to the constructor.
+   *
+   * @return {Promise<VerifyReport>} - A report of everything wrong with the archive.
+   *
+   * @emits verify.start - `{ message, target }` - `target` is the path of the archive we're verifying (undefined for Buffers and streams).
+   * @emits verify.done - `{ message, valid }` - `valid` is whether the archive is free of problems.
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/upload.pak')
+   * const { valid, issues } = await pak.verify()
+   * if (!valid) {
+   *   for (const issue of issues) {
+   *     console.log(`${issue.type}: ${issue.message}`)
+   *   }
+   * }
+   * ```
+   */
+  public async verify (): Promise<VerifyReport> {
+    let sbuf = this.file
+    if (sbuf === undefined) {
+      sbuf = await this._openSource(undefined, 'verify')
+    } else {
+      this.progress.emit('verify.start', { message: 'Verifying loaded archive', target: this.path })
+    }
+
+    try {
+      const { report } = await SBAsset6._inspect(sbuf)
+      this.progress.emit('verify.done', { message: 'Verifying archive complete', valid: report.valid })
+      return report
+    } finally {
+      if (sbuf !== this.file && sbuf instanceof ConsumableFile) {
+        await sbuf.close()
+      }
+    }
+  }
+
+  /**
+   * Loads a damaged archive, recovering as much of it as possible, instead of failing as SBAsset6.load() would.
+   * A broken metatable pointer is worked around by searching the archive for its metatable, a truncated file table is read as far as possible,
+   *   and files whose contents lie outside of the archive's file data are dropped.
+   * Saving the archive afterwards writes out a clean copy of everything recovered; SBAsset6.save() always rewrites a salvaged archive in full.
+   *
+   * @param  source - Where to load the archive from: a filepath, a Buffer or a Readable stream. Defaults to the path provided to the constructor.
+   * @return {Promise<SalvageResult>} - The recovered metadata and files, along with a report of everything wrong with the archive.
+   *
+   * @emits salvage.start - `{ message, target }` - `target` is the path of the archive we're salvaging (undefined for Buffers and streams).
+   * @emits salvage.inspect - `{ message }`
+   * @emits salvage.files - `{ message, total }` - `total` is the total number of files recovered.
+   * @emits salvage.done - `{ message, dropped }` - `dropped` is the number of files that could not be recovered.
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/corrupt.pak')
+   * const { files, report, dropped } = await pak.salvage()
+   *
+   * await pak.saveTo('/path/to/repaired.pak')
+   * ```
+   */
+  public async salvage (source?: string | Buffer | Readable): Promise<SalvageResult> {
+    this.file = await this._openSource(source, 'salvage')
+    this.salvaged = true
+
+    this.progress.emit('salvage.inspect', { message: 'Inspecting archive' })
+    const { report, metadata, filetable, dropped } = await SBAsset6._inspect(this.file)
+    this.metatablePosition = report.metatablePosition !== undefined ? new Uint64BE(report.metatablePosition) : undefined
+    this.metadata = metadata ?? {}
+
+    this.progress.emit('salvage.files', { message: 'Loading recovered file data into FileMapper', total: filetable.length })
+    for (const fileEntry of filetable) {
+      await this.files.setFile(fileEntry.path, {
+        source: {
+          pak: this
+        },
+        start: fileEntry.offset,
+        filelength: fileEntry.filelength
+      })
+    }
+
+    this.progress.emit('salvage.done', { message: 'Salvaging archive complete', dropped: dropped.length })
+    return {
+      metadata: this.metadata,
+      files: await this.files.list(),
+      report,
+      dropped
+    }
+  }
+
+  /**
+   * Gets a specific chunk of data from the pak file we're working with.
+   *
+   * @private
+   * @hidden
+   *
+   * @throws {Error} - Throws when the pak file hasn't been opened yet.
+   *
+   * @param  offset - How far into the pak to seek to.
+   * @param  size - The amount of data to fetch.
+   * @return {Promise<Buffer>} - The data we're looking for.
+   */
+  public async getPakData (offset: Uint64BE, size: Uint64BE): Promise<Buffer> {
+    if (this.file === undefined) {
+      throw new Error('Cannot read from unopened pak in SBAsset6.getPakData')
+    }
+
+    return SBAsset6._getFile(this.file, offset, size)
+  }
+
+  /**
+   * Creates a Readable stream for a specific chunk of data from the pak file we're working with.
+   * Reads are positional, so they do not disturb (and are not disturbed by) anything else reading from the pak.
+   *
+   * @private
+   * @hidden
+   *
+   * @throws {Error} - Throws when the pak file hasn't been opened yet.
+   *
+   * @param  offset - How far into the pak the data starts, in bytes.
+   * @param  size - The amount of data to stream, in bytes.
+   * @return {Promise<Readable>} - A Readable stream of the data we're looking for.
+   */
+  public async createPakReadStream (offset: number, size: number): Promise<Readable> {
+    if (this.file instanceof ConsumableBuffer) {
+      return FileMapper._bufferStream(this.file.originalBuffer.subarray(offset, offset + size))
+    }
+
+    if (this.file === undefined || this.file.fh === undefined) {
+      throw new Error('Cannot read from unopened pak in SBAsset6.createPakReadStream')
+    }
+
+    return FileMapper._fileHandleStream(this.file.fh, offset, size, false)
+  }
+
+  /**
+   * Save the currently generated SBAsset6 archive.
+   * If the archive was loaded from its own path, this is an incremental save: only new and changed files are appended
+   *   after the existing contents of the archive, followed by a new metatable, and the header is then updated to point at it.
+   *   Deleted and replaced files are left behind as dead space (see SBAsset6.getWastedBytes()) until the archive is compacted.
+   * Incremental saves are crash-safe - the header is only updated once everything else is on disk,
+   *   so an interrupted save leaves the archive exactly as it was (plus some unused data at its end).
+   * Archives that weren't loaded from their own path, or that were loaded with SBAsset6.salvage(), are written out in full, as with SBAsset6.compact().
+   * Reloads the archive and rebuilds the FileMapper when saving is complete.
+   *
+   * @return {Promise<LoadResult>} - An object containing the archive's metadata and all files contained in the archive that can be read out.
+   *
+   * @emits save.start - `{ message, target }` - `target` is the archive we're trying to save to.
+   * @emits save.files - `{ message, total }` - `total` is the total number of files being appended to the archive.
+   * @emits save.file.progress - `{ message, target, index }` - `target` is the virtualPath the file that we're appending to the archive,
+   *   and `index` tells us how many files in we are (X, where "File X of Y").
    * @emits save.metatable - `{ message }`
-   * @emits save.done - `{ message }`
+   * @emits save.header - `{ message }`
+   * @emits save.done - `{ message, wasted }` - `wasted` is the number of bytes of dead space within the saved archive.
    *
-   * @throws {Error} - Throws when we couldn't load a source file from a provided file descriptor.
-   * @throws {Error} - Throws when we couldn't load a source file from a provided file path.
-   * @throws {Error} - Throws when we couldn't load a source file from a provided buffer.
+   * @throws {Error} - Throws when the SBAsset6 instance has no path to save to.
+   * @throws {Error} - Throws when a source file changes size while it is being written to the archive.
    * @throws {TypeError} - Throws when we have an unexpected file.type in the FileMapper.
-   * @throws {Error} - Throws when the file descriptor for the new file we're trying to save is closed early.
+   *
+   * @see SBAsset6.compact
+   * @see SBAsset6.saveTo
    *
    * @example
    * ```
@@ -422,90 +1227,464 @@ export class SBAsset6 {
    * ```
    */
   public async save (): Promise<LoadResult> {
-    const newFile = new ExpandingFile(this.path + '.tmp')
-    this.progress.emit('save.start', { message: 'Opening destination archive file', target: this.path })
-    await newFile.open()
+    if (this.path === undefined) {
+      throw new Error('SBAsset6.save requires a path to save to; use SBAsset6.saveTo instead.')
+    }
 
-    // set up the Stream Pipeline...
-    const sfile = new StreamPipeline()
-    await sfile.load(newFile)
+    // without an archive file loaded from our path, there's nothing to append to -
+    //   and appending to a salvaged archive would leave its damaged data in place
+    if (!(this.file instanceof ConsumableFile) || this.salvaged) {
+      return this.compact()
+    }
 
-    // write the header
-    this.progress.emit('save.header', { message: 'Writing archive header' })
-    await sfile.pump(Buffer.from('SBAsset6'))
+    this.progress.emit('save.start', { message: 'Opening archive file for appending', target: this.path })
+    const fh = await fs.promises.open(this.path, 'r+')
+    try {
+      await this._appendArchive(fh)
+    } finally {
+      await fh.close()
+    }
 
-    // write a placeholder for the metatable position (8 bytes, a Uint64BE)
-    await sfile.pump(Buffer.alloc(8))
+    await this.close()
+    const res = await this.load()
+    this.progress.emit('save.done', { message: 'Saving archive complete', wasted: await this.getWastedBytes() })
 
-    const files = await this.files.list()
-    const filetable = []
-    this.progress.emit('save.files', { message: 'Writing files to archive', total: files.length })
-    for (const i in files) {
-      const filename = files[i]
-      const file = await this.files.getFileMeta(filename)
+    return res
+  }
+
+  /**
+   * Rewrites the entire archive, reclaiming any dead space left behind by incremental saves.
+   * The archive is written to a temporary file first, then copied over the original.
+   * Reloads the archive and rebuilds the FileMapper when saving is complete.
+   *
+   * @return {Promise<LoadResult>} - An object containing the archive's metadata and all files contained in the archive that can be read out.
+   *
+   * @emits save.start - `{ message, target }` - `target` is the archive we're trying to save to.
+   * @emits save.header - `{ message }`
+   * @emits save.files - `{ message, total }` - `total` is the total number of files being written to the archive.
+   * @emits save.file.progress - `{ message, target, index }` - `target` is the virtualPath the file that we're writing to the archive,
+   *   and `index` tells us how many files in we are (X, where "File X of Y").
+   * @emits save.metatable - `{ message }`
+   * @emits save.done - `{ message }`
+   *
+   * @throws {Error} - Throws when the SBAsset6 instance has no path to save to.
+   * @throws {Error} - Throws when a source file changes size while it is being written to the archive.
+   * @throws {TypeError} - Throws when we have an unexpected file.type in the FileMapper.
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * await pak.load()
+   *
+   * if (await pak.getWastedBytes() > 100 * 1024 * 1024) {
+   *   await pak.compact()
+   * }
+   * ```
+   */
+  public async compact (): Promise<LoadResult> {
+    if (this.path === undefined) {
+      throw new Error('SBAsset6.compact requires a path to save to; use SBAsset6.saveTo instead.')
+    }
+
+    const filepath = this.path
+    await this.saveTo(filepath + '.tmp')
+    await this.close()
 
-      const start = (file.start instanceof Uint64BE) ? file.start.toNumber() : file.start
-      const filelength = (file.filelength instanceof Uint64BE) ? file.filelength.toNumber() : file.filelength
+    await fs.promises.copyFile(filepath + '.tmp', filepath)
+    await fs.promises.unlink(filepath + '.tmp')
 
-      let res = null
-      this.progress.emit('save.file.progress', { message: 'Writing file to archive', target: file.virtualPath, type: file.type, index: i })
-      switch (file.type) {
-        case 'pak':
-          if (file.source.pak === undefined || file.source.pak.file === undefined || file.source.pak.file.fh === undefined) {
-            throw new Error('Could not load file from SBAsset6 archive while saving.')
-          }
-          res = await sfile.pump(file.source.pak.file.fh, start, filelength)
-          break
-
-        case 'fh':
-          if (file.source.filehandle === undefined) {
-            throw new Error('Could not load file from provided file descriptor while saving.')
-          }
-          res = await sfile.pump(file.source.filehandle, start, filelength)
-          break
-
-        case 'path':
-          if (file.source.path === undefined) {
-            throw new Error('Could not load file from provided file path while saving.')
-          }
-          res = await sfile.pump(file.source.path, start, filelength)
-          break
-
-        case 'buffer':
-          if (file.source.buffer === undefined) {
-            throw new Error('Could not load file from provided Buffer while saving.')
-          }
-          res = await sfile.pump(file.source.buffer)
-          break
-
-        default:
-          throw new TypeError('Unrecognized FileTableEntry type in SBAsset6.save')
+    return this.load()
+  }
+
+  /**
+   * Works out how much of the loaded archive is dead space - data not used by the metatable or by any file currently mapped from the archive.
+   * Includes files deleted or replaced since the archive was loaded, as an incremental save would leave them behind.
+   *
+   * @return {Promise<number>} - The number of bytes that SBAsset6.compact() would reclaim, not counting files added since loading.
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * await pak.load()
+   *
+   * console.log(`${await pak.getWastedBytes()} bytes could be reclaimed by compacting the archive`)
+   * ```
+   */
+  public async getWastedBytes (): Promise<number> {
+    if (this.file === undefined || this.metatablePosition === undefined) {
+      return 0
+    }
+
+    const size = SBAsset6._resourceSize(this.file)
+    let metatableEnd = size
+    try {
+      await SBAsset6._readMetatable(this.file, this.metatablePosition)
+      metatableEnd = SBAsset6._resourcePosition(this.file)
+    } catch (err) {
+      // a damaged metatable (as loaded by SBAsset6.salvage()) is assumed to run to the end of the archive
+    }
+
+    const ranges: Array<[number, number]> = []
+    for (const file of await this.files.list()) {
+      const entry = await this.files.getFileMeta(file)
+      if (entry.type === 'pak' && entry.source.pak === this) {
+        const { start, filelength } = await this.files.getFileRange(file)
+        ranges.push([start, start + filelength])
       }
+    }
+
+    // files may share data, so only count each byte once
+    let used = 16 + (metatableEnd - this.metatablePosition.toNumber())
+    let covered = 0
+    for (const [start, end] of ranges.sort((a, b) => a[0] - b[0])) {
+      used += Math.max(end - Math.max(start, covered), 0)
+      covered = Math.max(covered, end)
+    }
 
+    return Math.max(size - used, 0)
+  }
+
+  /**
+   * Write the currently generated SBAsset6 archive somewhere other than its own path - a different file, a Writable stream, or a Buffer.
+   * Unlike SBAsset6.save(), this does not reload the archive; the SBAsset6 instance and any archive it was loaded from are left untouched.
+   *
+   * @param  destination - The filepath or Writable stream to write the archive to. Writable streams are ended once the archive is written.
+   *   If omitted, the archive is returned as a Buffer instead.
+   * @return {Promise<Buffer|undefined>} - The archive, as a Buffer, if no destination was provided.
+   *
+   * @emits save.start - `{ message, target }` - `target` is the filepath we're trying to save to (undefined for Buffers and streams).
+   * @emits save.header - `{ message }`
+   * @emits save.files - `{ message, total }` - `total` is the total number of files being written to the archive.
+   * @emits save.file.progress - `{ message, target, index }` - `target` is the virtualPath the file that we're writing to the archive,
+   *   and `index` tells us how many files in we are (X, where "File X of Y").
+   * @emits save.metatable - `{ message }`
+   * @emits save.done - `{ message }`
+   *
+   * @throws {Error} - Throws when asked to write over the archive that this instance was loaded from; use SBAsset6.save() for that.
+   * @throws {Error} - Throws when a source file changes size while it is being written to the archive.
+   * @throws {TypeError} - Throws when we have an unexpected file.type in the FileMapper.
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * await pak.load()
+   *
+   * pak.metadata.version = '1.0.1'
+   * await pak.saveTo('/path/to/mod-1.0.1.pak')
+   *
+   * // or, send it straight to an HTTP response...
+   * await pak.saveTo(res)
+   *
+   * // or, just get the archive as a Buffer
+   * const buf = await pak.saveTo()
+   * ```
+   */
+  public async saveTo (): Promise<Buffer>
+  public async saveTo (destination: string | Writable): Promise<undefined>
+  public async saveTo (destination?: string | Writable): Promise<Buffer | undefined> {
+    if (typeof destination === 'string') {
+      // compare the files themselves rather than their paths, so that symlinks and hardlinks to the archive are refused too
+      if (this.file instanceof ConsumableFile && this.file.fh !== undefined) {
+        const source = await this.file.fh.stat()
+        const target = await fs.promises.stat(destination).catch(() => undefined)
+        if (target !== undefined && target.dev === source.dev && target.ino === source.ino) {
+          throw new Error('SBAsset6.saveTo cannot overwrite the archive it is reading from; use SBAsset6.save instead.')
+        }
+      }
+
+      this.progress.emit('save.start', { message: 'Opening destination archive file', target: destination })
+      await promisify(pipeline)(Readable.from(this._generateArchive()), fs.createWriteStream(destination))
+    } else if (destination !== undefined) {
+      this.progress.emit('save.start', { message: 'Opening destination archive stream', target: undefined })
+      await promisify(pipeline)(Readable.from(this._generateArchive()), destination)
+    } else {
+      this.progress.emit('save.start', { message: 'Opening destination archive buffer', target: undefined })
+      const chunks: Buffer[] = []
+      for await (const chunk of this._generateArchive()) {
+        chunks.push(chunk)
+      }
+
+      this.progress.emit('save.done', { message: 'Saving archive complete' })
+      return Buffer.concat(chunks)
+    }
+
+    this.progress.emit('save.done', { message: 'Saving archive complete' })
+    return undefined
+  }
+
+  /**
+   * Generates the full contents of the SBAsset6 archive, chunk by chunk.
+   * File sizes are determined up front so that the metatable position can be written in the header without seeking back.
+   *
+   * @private
+   * @hidden
+   *
+   * @throws {Error} - Throws when a source file changes size while it is being written to the archive.
+   *
+   * @return {AsyncGenerator<Buffer>}
+   */
+  public async * _generateArchive (): AsyncGenerator<Buffer> {
+    const files = await this.files.list()
+    const filetable: FileTableEntry[] = []
+
+    // files start immediately after the header (8 bytes of magic, 8 bytes of metatable position)
+    let offset = 16
+    for (const file of files) {
+      const { filelength } = await this.files.getFileRange(file)
       filetable.push({
-        path: file.virtualPath,
-        offset: new Uint64BE(res.offset),
-        filelength: new Uint64BE(res.wrote)
+        path: file,
+        offset: new Uint64BE(offset),
+        filelength: new Uint64BE(filelength)
       })
+      offset += filelength
+    }
+
+    // write the header, along with the metatable position (8 bytes, a Uint64BE)
+    this.progress.emit('save.header', { message: 'Writing archive header' })
+    yield Buffer.concat([Buffer.from('SBAsset6'), new Uint64BE(offset).toBuffer()])
+
+    this.progress.emit('save.files', { message: 'Writing files to archive', total: files.length })
+    for (const i in filetable) {
+      const entry = filetable[i]
+      const file = await this.files.getFileMeta(entry.path)
+
+      this.progress.emit('save.file.progress', { message: 'Writing file to archive', target: file.virtualPath, type: file.type, index: i })
+      let wrote = 0
+      for await (const chunk of await this.files.createReadStream(entry.path)) {
+        wrote += (chunk as Buffer).length
+        yield chunk
+      }
+
+      if (wrote !== entry.filelength.toNumber()) {
+        throw new Error(`File ${entry.path} changed size while being written to the archive.`)
+      }
     }
 
     this.progress.emit('save.metatable', { message: 'Writing archive metatable' })
-    const metatablePosition = new Uint64BE(newFile.position)
-    await sfile.pump(await SBAsset6._buildMetatable(this.metadata, filetable))
+    yield await SBAsset6._buildMetatable(this.metadata, filetable)
+  }
 
-    if (newFile.fh === undefined) {
-      throw new Error('File handle for destination archive closed before saving completed.')
+  /**
+   * Appends new and changed files to the end of the archive file, followed by a new metatable, and then points the header at the new metatable.
+   * Files already within the archive are left where they are, unless they share their data with another file.
+   *
+   * @private
+   * @hidden
+   *
+   * @throws {Error} - Throws when a source file changes size while it is being written to the archive.
+   *
+   * @param  fh - The archive file, opened for reading and writing.
+   * @return {Promise<void>}
+   */
+  public async _appendArchive (fh: fs.promises.FileHandle): Promise<void> {
+    const files = await this.files.list()
+    const filetable = new Map<string, FileTableEntry>()
+    const existing: FileTableEntry[] = []
+    const appending: string[] = []
+    for (const file of files) {
+      const entry = await this.files.getFileMeta(file)
+      if (entry.type === 'pak' && entry.source.pak === this && entry.start !== undefined && entry.filelength !== undefined) {
+        existing.push({ path: file, offset: entry.start, filelength: entry.filelength })
+      } else {
+        appending.push(file)
+      }
     }
 
-    // metatable position should always be a Uint64BE found at 0x00000008
-    await newFile.fh.write(metatablePosition.toBuffer(), 0, 8, 8)
-    await newFile.close()
-    await this.close()
+    // files sharing data within the archive (as after copying a file within it) would overlap, so all but one of them are appended as copies
+    let covered = 0
+    for (const entry of existing.sort((a, b) => a.offset.toNumber() - b.offset.toNumber())) {
+      if (entry.offset.toNumber() >= covered) {
+        filetable.set(entry.path, entry)
+        covered = Math.max(covered, entry.offset.toNumber() + entry.filelength.toNumber())
+      } else {
+        appending.push(entry.path)
+      }
+    }
 
-    this.progress.emit('save.done', { message: 'Saving archive file complete' })
-    await fs.promises.copyFile(this.path + '.tmp', this.path)
-    await fs.promises.unlink(this.path + '.tmp')
+    // new data goes after everything already in the file - the current metatable must stay intact until the header no longer points to it
+    let offset = (await fh.stat()).size
+    this.progress.emit('save.files', { message: 'Appending files to archive', total: appending.length })
+    for (const i in appending) {
+      const file = await this.files.getFileMeta(appending[i])
+      const { filelength } = await this.files.getFileRange(appending[i])
 
-    return this.load()
+      this.progress.emit('save.file.progress', { message: 'Appending file to archive', target: file.virtualPath, type: file.type, index: i })
+      let wrote = 0
+      for await (const chunk of await this.files.createReadStream(appending[i])) {
+        await fh.write(chunk, 0, (chunk as Buffer).length, offset + wrote)
+        wrote += (chunk as Buffer).length
+      }
+
+      if (wrote !== filelength) {
+        throw new Error(`File ${appending[i]} changed size while being written to the archive.`)
+      }
+
+      filetable.set(appending[i], { path: appending[i], offset: new Uint64BE(offset), filelength: new Uint64BE(wrote) })
+      offset += wrote
+    }
+
+    this.progress.emit('save.metatable', { message: 'Writing archive metatable' })
+    const metatable = await SBAsset6._buildMetatable(this.metadata, files.map(file => filetable.get(file) as FileTableEntry))
+    await fh.write(metatable, 0, metatable.length, offset)
+    await fh.sync()
+
+    // only switch over to the new metatable once everything it refers to is safely on disk
+    this.progress.emit('save.header', { message: 'Updating archive header' })
+    await fh.write(new Uint64BE(offset).toBuffer(), 0, 8, 8)
+    await fh.sync()
+  }
+
+  /**
+   * Imports the contents of a mod directory into the FileMapper, as the game's asset_packer would.
+   * A `_metadata` or `.metadata` file at the root of the directory is parsed as (Starbound) JSON and used as the archive metadata instead of being stored as a file.
+   * Does not save the archive!
+   *
+   * @param  directory - The mod directory to import.
+   * @param  options - Options for the import, such as ignore patterns.
+   * @return {Promise<string[]>} - The virtual paths of all files imported into the FileMapper.
+   *
+   * @emits pack.start - `{ message, target }` - `target` is the directory we're importing.
+   * @emits pack.metadata - `{ message, target }` - `target` is the metadata file found within the directory.
+   * @emits pack.files - `{ message, total }` - `total` is the total number of files being imported.
+   * @emits pack.file.progress - `{ message, target, index }` - `target` is the virtualPath of the file we're importing,
+   *   and `index` tells us how many files in we are (X, where "File X of Y").
+   * @emits pack.done - `{ message }`
+   *
+   * @throws {Error} - Throws when the directory's metadata file cannot be parsed.
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * await pak.importDirectory('/path/to/mod/', { ignore: ['\\.psd$'] })
+   *
+   * await pak.save()
+   * ```
+   */
+  public async importDirectory (directory: string, options: PackOptions = {}): Promise<string[]> {
+    this.progress.emit('pack.start', { message: 'Importing directory', target: directory })
+    const ignore = (options.ignore ?? []).map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern))
+
+    let metadataFile: string | undefined
+    const files: Array<{ virtualPath: string, filepath: string }> = []
+    for (const filepath of await SBAsset6._walkDirectory(directory)) {
+      const virtualPath = SBAsset6._normalizeVirtualPath(path.relative(directory, filepath))
+      if (virtualPath === '/_metadata' || virtualPath === '/.metadata') {
+        // _metadata takes precedence over .metadata, same as in the game itself
+        if (metadataFile === undefined || virtualPath === '/_metadata') {
+          metadataFile = filepath
+        }
+        continue
+      }
+
+      if (ignore.some(pattern => pattern.test(virtualPath))) {
+        continue
+      }
+
+      files.push({ virtualPath, filepath })
+    }
+
+    if (metadataFile !== undefined) {
+      this.progress.emit('pack.metadata', { message: 'Reading directory metadata', target: metadataFile })
+      try {
+        this.metadata = await parseJSON(await fs.promises.readFile(metadataFile, { encoding: 'utf8' }), metadataFile)
+      } catch (err) {
+        throw new Error(`Failed to parse metadata file ${metadataFile}: ${(err as Error).message}`)
+      }
+    }
+
+    this.progress.emit('pack.files', { message: 'Importing files into FileMapper', total: files.length })
+    for (const i in files) {
+      const { virtualPath, filepath } = files[i]
+      this.progress.emit('pack.file.progress', { message: 'Importing file into FileMapper', target: virtualPath, index: i })
+      await this.files.setFile(virtualPath, {
+        source: {
+          path: filepath
+        }
+      })
+    }
+
+    this.progress.emit('pack.done', { message: 'Importing directory complete' })
+    return files.map(file => file.virtualPath)
+  }
+
+  /**
+   * Packs a mod directory into the SBAsset6 archive and saves it - the equivalent of the game's asset_packer.
+   *
+   * @param  directory - The mod directory to pack.
+   * @param  options - Options for the import, such as ignore patterns.
+   * @return {Promise<LoadResult>} - An object containing the archive's metadata and all files contained in the archive that can be read out.
+   *
+   * @see SBAsset6.importDirectory
+   * @see SBAsset6.save
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * const { metadata, files } = await pak.pack('/path/to/mod/')
+   * ```
+   */
+  public async pack (directory: string, options: PackOptions = {}): Promise<LoadResult> {
+    await this.importDirectory(directory, options)
+
+    return this.save()
+  }
+
+  /**
+   * Extracts all files within the archive to a directory, along with the archive metadata as a `_metadata` file
+   *   - the equivalent of the game's asset_unpacker.
+   *
+   * @param  destination - The directory to extract the archive into. It will be created if it does not exist.
+   * @return {Promise<void>}
+   *
+   * @emits unpack.start - `{ message, target }` - `target` is the directory we're extracting into.
+   * @emits unpack.files - `{ message, total }` - `total` is the total number of files being extracted.
+   * @emits unpack.file.progress - `{ message, target, index }` - `target` is the virtualPath of the file we're extracting,
+   *   and `index` tells us how many files in we are (X, where "File X of Y").
+   * @emits unpack.metadata - `{ message }`
+   * @emits unpack.done - `{ message }`
+   *
+   * @throws {Error} - Throws when a virtualPath would be written outside of the destination directory; nothing is written in that case.
+   * @throws {Error} - Throws when the archive contains a `/_metadata` file, which would collide with the archive metadata; nothing is written in that case.
+   *
+   * @example
+   * ```
+   * const pak = new SBAsset6('/path/to/mod.pak')
+   * await pak.load()
+   *
+   * await pak.unpack('/path/to/extracted/mod/')
+   * ```
+   */
+  public async unpack (destination: string): Promise<void> {
+    this.progress.emit('unpack.start', { message: 'Extracting archive', target: destination })
+    const root = path.resolve(destination)
+
+    // resolve every target before writing anything, so that a malicious archive can't leave a partial extraction behind
+    const files = []
+    for (const virtualPath of await this.files.list()) {
+      const target = path.resolve(root, '.' + SBAsset6._normalizeVirtualPath(virtualPath))
+      const relative = path.relative(root, target)
+      if (relative === '' || relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+        throw new Error(`Refusing to extract ${virtualPath} outside of the destination directory.`)
+      }
+      if (relative === '_metadata') {
+        throw new Error(`Refusing to extract ${virtualPath}, as it would be overwritten by the archive metadata.`)
+      }
+
+      files.push({ virtualPath, target })
+    }
+
+    this.progress.emit('unpack.files', { message: 'Extracting files from archive', total: files.length })
+    for (const i in files) {
+      const { virtualPath, target } = files[i]
+      this.progress.emit('unpack.file.progress', { message: 'Extracting file from archive', target: virtualPath, index: i })
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await promisify(pipeline)(await this.files.createReadStream(virtualPath), fs.createWriteStream(target))
+    }
+
+    this.progress.emit('unpack.metadata', { message: 'Writing archive metadata' })
+    await fs.promises.mkdir(root, { recursive: true })
+    await fs.promises.writeFile(path.join(root, '_metadata'), JSON.stringify(this.metadata, null, 2))
+
+    this.progress.emit('unpack.done', { message: 'Extracting archive complete' })
   }
 }
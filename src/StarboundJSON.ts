@@ -0,0 +1,305 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format.
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+/**
+ * Error describing where (and why) a JSON document could not be parsed.
+ */
+export class JSONSyntaxError extends SyntaxError {
+  /**
+   * The virtualPath of the document, if known.
+   */
+  public virtualPath: string | undefined
+
+  /**
+   * The line the error was found on, starting from 1.
+   */
+  public line: number
+
+  /**
+   * The column the error was found at, starting from 1.
+   */
+  public column: number
+
+  /**
+   * JSONSyntaxError is thrown when a document is not valid Starbound JSON.
+   *
+   * @param  reason - What was wrong with the document.
+   * @param  line - The line the error was found on, starting from 1.
+   * @param  column - The column the error was found at, starting from 1.
+   * @param  virtualPath - The virtualPath of the document, if known.
+   * @return {JSONSyntaxError}
+   */
+  constructor (reason: string, line: number, column: number, virtualPath?: string) {
+    super(`${reason} at line ${line}, column ${column}`)
+    this.name = 'JSONSyntaxError'
+    this.virtualPath = virtualPath
+    this.line = line
+    this.column = column
+  }
+}
+
+/**
+ * Parses a document written in Starbound's relaxed JSON - that is, JSON that may also contain `//` line comments and `/* *\/` block comments.
+ *
+ * @throws {JSONSyntaxError} - Throws when the document is not valid, with the line and column of the problem.
+ *
+ * @param  text - The document to parse.
+ * @param  virtualPath - The virtualPath of the document, recorded on any error thrown.
+ * @return {Promise<any>} - The parsed document.
+ *
+ * @example
+ * ```
+ * const config = await parseJSON(`{
+ *   // how many threads should we use?
+ *   "workerPoolThreads" : 2
+ * }`)
+ * ```
+ */
+export async function parseJSON (text: string, virtualPath?: string): Promise<any> {
+  const parser = new Parser(text.startsWith('\uFEFF') ? text.slice(1) : text, virtualPath)
+  const value = parser.parseValue()
+  parser.skipWhitespace()
+  if (parser.position < parser.text.length) {
+    throw parser.error(`Unexpected ${parser.describe()} after the end of the document`)
+  }
+
+  return value
+}
+
+/**
+ * Recursive descent parser for Starbound JSON, tracking its position within the document for error reporting.
+ */
+class Parser {
+  /**
+   * The document being parsed.
+   */
+  public text: string
+
+  /**
+   * How far into the document we are, in characters.
+   */
+  public position: number
+
+  /**
+   * The virtualPath of the document, if known.
+   */
+  public virtualPath: string | undefined
+
+  /**
+   * @param  text - The document to parse.
+   * @param  virtualPath - The virtualPath of the document, if known.
+   * @return {Parser}
+   */
+  constructor (text: string, virtualPath?: string) {
+    this.text = text
+    this.position = 0
+    this.virtualPath = virtualPath
+  }
+
+  /**
+   * Parses the value at the current position, along with any whitespace and comments before it.
+   *
+   * @return {any}
+   */
+  public parseValue (): any {
+    this.skipWhitespace()
+    const char = this.text[this.position]
+    if (char === '{') {
+      return this.parseObject()
+    } else if (char === '[') {
+      return this.parseArray()
+    } else if (char === '"') {
+      return this.parseString()
+    } else if (char === '-' || (char >= '0' && char <= '9')) {
+      return this.parseNumber()
+    }
+
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]] as Array<[string, any]>) {
+      if (this.text.startsWith(literal, this.position)) {
+        this.position += literal.length
+        return value
+      }
+    }
+
+    throw this.error(`Unexpected ${this.describe()}`)
+  }
+
+  /**
+   * Parses the object at the current position.
+   *
+   * @return {object}
+   */
+  public parseObject (): { [index: string]: any } {
+    const object: { [index: string]: any } = {}
+    this.position++
+    this.skipWhitespace()
+    if (this.text[this.position] === '}') {
+      this.position++
+      return object
+    }
+
+    while (true) {
+      this.skipWhitespace()
+      if (this.text[this.position] !== '"') {
+        throw this.error(`Expected a string key but found ${this.describe()}`)
+      }
+      const key = this.parseString()
+
+      this.skipWhitespace()
+      this.expect(':')
+      // defined rather than assigned, so that a "__proto__" key is just another key - as with JSON.parse()
+      Object.defineProperty(object, key, { value: this.parseValue(), enumerable: true, writable: true, configurable: true })
+
+      this.skipWhitespace()
+      if (this.text[this.position] === '}') {
+        this.position++
+        return object
+      }
+      this.expect(',')
+    }
+  }
+
+  /**
+   * Parses the array at the current position.
+   *
+   * @return {any[]}
+   */
+  public parseArray (): any[] {
+    const array: any[] = []
+    this.position++
+    this.skipWhitespace()
+    if (this.text[this.position] === ']') {
+      this.position++
+      return array
+    }
+
+    while (true) {
+      array.push(this.parseValue())
+
+      this.skipWhitespace()
+      if (this.text[this.position] === ']') {
+        this.position++
+        return array
+      }
+      this.expect(',')
+    }
+  }
+
+  /**
+   * Parses the string at the current position.
+   *
+   * @return {string}
+   */
+  public parseString (): string {
+    const start = this.position
+    this.position++
+
+    let value = ''
+    while (true) {
+      const char = this.text[this.position]
+      if (char === undefined || char === '\n') {
+        this.position = start
+        throw this.error('Unterminated string')
+      } else if (char === '"') {
+        this.position++
+        return value
+      } else if (char === '\\') {
+        const escape = this.text[this.position + 1]
+        const simple: { [index: string]: string } = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+        if (escape !== undefined && simple[escape] !== undefined) {
+          value += simple[escape]
+          this.position += 2
+        } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(this.text.slice(this.position + 2, this.position + 6))) {
+          value += String.fromCharCode(parseInt(this.text.slice(this.position + 2, this.position + 6), 16))
+          this.position += 6
+        } else {
+          throw this.error('Invalid escape sequence in string')
+        }
+      } else if (char < ' ') {
+        throw this.error('Unexpected control character in string')
+      } else {
+        value += char
+        this.position++
+      }
+    }
+  }
+
+  /**
+   * Parses the number at the current position.
+   *
+   * @return {number}
+   */
+  public parseNumber (): number {
+    const match = /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?/.exec(this.text.slice(this.position, this.position + 512))
+    if (match === null) {
+      throw this.error('Invalid number')
+    }
+
+    this.position += match[0].length
+    return Number(match[0])
+  }
+
+  /**
+   * Skips over whitespace and comments.
+   *
+   * @return {void}
+   */
+  public skipWhitespace (): void {
+    while (this.position < this.text.length) {
+      const char = this.text[this.position]
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+        this.position++
+      } else if (this.text.startsWith('//', this.position)) {
+        const end = this.text.indexOf('\n', this.position)
+        this.position = end === -1 ? this.text.length : end + 1
+      } else if (this.text.startsWith('/*', this.position)) {
+        const end = this.text.indexOf('*/', this.position + 2)
+        if (end === -1) {
+          throw this.error('Unterminated block comment')
+        }
+        this.position = end + 2
+      } else {
+        return
+      }
+    }
+  }
+
+  /**
+   * Consumes the expected character at the current position.
+   *
+   * @param  char - The character expected.
+   * @return {void}
+   */
+  public expect (char: string): void {
+    if (this.text[this.position] !== char) {
+      throw this.error(`Expected "${char}" but found ${this.describe()}`)
+    }
+    this.position++
+  }
+
+  /**
+   * Describes whatever is at the current position, for error messages.
+   *
+   * @return {string}
+   */
+  public describe (): string {
+    const char = this.text[this.position]
+    return char === undefined ? 'end of document' : `character ${JSON.stringify(char)}`
+  }
+
+  /**
+   * Creates an error for the current position.
+   *
+   * @param  reason - What went wrong.
+   * @return {JSONSyntaxError}
+   */
+  public error (reason: string): JSONSyntaxError {
+    const lines = this.text.slice(0, this.position).split('\n')
+    return new JSONSyntaxError(reason, lines.length, lines[lines.length - 1].length + 1, this.virtualPath)
+  }
+}
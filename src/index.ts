@@ -10,3 +10,8 @@
 
 export { SBAsset6 } from './SBAsset6'
 export { FileMapper } from './FileMapper'
+export { AssetDatabase } from './AssetDatabase'
+export { applyOperation, applyPatch, patchAsset, PatchError } from './JSONPatch'
+export { diffPaks, diffFiles, diffMetadata, createDelta } from './PakDiff'
+export { parseJSON, JSONSyntaxError } from './StarboundJSON'
+export { findReferences, checkReferences } from './AssetReferences'
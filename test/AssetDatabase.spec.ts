@@ -0,0 +1,145 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import * as path from 'path'
+import * as fs from 'fs'
+import { expect } from 'chai'
+import { SBAsset6 } from './../src/SBAsset6'
+import { AssetDatabase } from './../src/AssetDatabase'
+import { createPak } from './helpers'
+
+describe('AssetDatabase', () => {
+  describe('AssetDatabase.getLoadOrder', () => {
+    it('should order sources by priority, then by mount order', async () => {
+      const db = new AssetDatabase()
+      await db.mount(await createPak({ name: 'late', priority: 10 }, {}))
+      await db.mount(await createPak({ name: 'first' }, {}))
+      await db.mount(await createPak({ name: 'base', priority: -9999 }, {}))
+      await db.mount(await createPak({ name: 'second' }, {}))
+
+      const { sources, missing, cycles } = await db.getLoadOrder()
+      expect(sources.map(source => source.name)).to.deep.equal(['base', 'first', 'second', 'late'])
+      expect(missing).to.deep.equal([])
+      expect(cycles).to.deep.equal([])
+    })
+
+    it('should load sources after their includes and requires, regardless of priority', async () => {
+      const db = new AssetDatabase()
+      await db.mount(await createPak({ name: 'addon', priority: -5, requires: ['framework'] }, {}))
+      await db.mount(await createPak({ name: 'framework', priority: 5, includes: 'library' }, {}))
+      await db.mount(await createPak({ name: 'library', priority: 100 }, {}))
+      await db.mount(await createPak({ name: 'standalone', priority: 0, includes: ['not-installed'] }, {}))
+
+      const { sources, missing } = await db.getLoadOrder()
+      expect(sources.map(source => source.name)).to.deep.equal(['library', 'framework', 'addon', 'standalone'])
+      expect(missing).to.deep.equal([])
+    })
+
+    it('should load each source\'s dependencies right before it, as the game does', async () => {
+      const db = new AssetDatabase()
+      await db.mount(await createPak({ name: 'a', priority: 0, requires: ['c'] }, { '/shared.txt': 'a' }))
+      await db.mount(await createPak({ name: 'b', priority: 5 }, { '/shared.txt': 'b' }))
+      await db.mount(await createPak({ name: 'c', priority: 10 }, {}))
+
+      expect((await db.getLoadOrder()).sources.map(source => source.name)).to.deep.equal(['c', 'a', 'b'])
+      const overrides = await db.getOverrides()
+      expect(overrides.map(({ virtualPath, provider, shadowed }) => [virtualPath, provider.name, shadowed.map(source => source.name)])).to.deep.equal([
+        ['/shared.txt', 'b', ['a']]
+      ])
+    })
+
+    it('should report missing requires and dependency cycles', async () => {
+      const db = new AssetDatabase()
+      await db.mount(await createPak({ name: 'a', priority: 2, requires: ['b'] }, {}))
+      await db.mount(await createPak({ name: 'b', priority: 1, includes: ['c'] }, {}))
+      await db.mount(await createPak({ name: 'c', priority: 3, requires: ['a', 'missing'] }, {}))
+      await db.mount(await createPak({ name: 'd', priority: 0, requires: ['c'] }, {}))
+
+      const { sources, missing, cycles } = await db.getLoadOrder()
+      expect(sources.map(source => source.name)).to.deep.equal(['b', 'a', 'c', 'd'])
+      expect(missing).to.deep.equal([{ source: 'c', dependency: 'missing' }])
+      expect(cycles).to.deep.equal([['a', 'b', 'c']])
+    })
+
+    it('should only work out the load order again when sources are mounted or unmounted', async () => {
+      const db = new AssetDatabase()
+      const first = await createPak({ name: 'first', priority: 1 }, { '/a.txt': 'first' })
+      await db.mount(first)
+      await db.mount(await createPak({ name: 'second', priority: 2 }, { '/a.txt': 'second' }))
+
+      const order = db._getLoadOrder()
+      expect((await db.getFile('/a.txt')).toString()).to.equal('second')
+      expect(db._getLoadOrder()).to.equal(order)
+
+      // callers can't disturb the cached order
+      const { sources } = await db.getLoadOrder()
+      sources.reverse()
+      expect((await db.getLoadOrder()).sources.map(source => source.name)).to.deep.equal(['first', 'second'])
+
+      await db.mount(await createPak({ name: 'third', priority: 3 }, { '/a.txt': 'third' }))
+      expect(db._getLoadOrder()).to.not.equal(order)
+      expect((await db.getFile('/a.txt')).toString()).to.equal('third')
+
+      await db.unmount(first)
+      expect((await db.getLoadOrder()).sources.map(source => source.name)).to.deep.equal(['second', 'third'])
+    })
+  })
+
+  describe('AssetDatabase merged view', () => {
+    it('should resolve files from the last loaded source that provides them', async () => {
+      const db = new AssetDatabase()
+      const base = await db.mount(await createPak({ name: 'base', priority: -1 }, { '/a.json': 'base', '/b.json': 'base' }))
+      const mod = await db.mount(await createPak({ name: 'mod', requires: ['other'] }, { '/a.json': 'mod' }))
+      const other = await db.mount(await createPak({ name: 'other', priority: 1 }, { '/a.json': 'other', '/c.json': 'other' }))
+
+      expect(await db.list()).to.have.members(['/a.json', '/b.json', '/c.json'])
+      expect(await db.exists('/b.json')).to.equal(true)
+      expect(await db.exists('/d.json')).to.equal(false)
+      expect((await db.getFile('/a.json')).toString()).to.equal('mod')
+      expect((await db.getFile('/c.json')).toString()).to.equal('other')
+
+      expect(await db.getProvider('/a.json')).to.equal(mod)
+      expect(await db.getProvider('/d.json')).to.equal(undefined)
+      expect(await db.getProviders('/a.json')).to.deep.equal([base, other, mod])
+      expect(await db.getOverrides()).to.deep.equal([
+        { virtualPath: '/a.json', provider: mod, shadowed: [base, other] }
+      ])
+
+      await db.unmount(mod.pak)
+      expect((await db.getFile('/a.json')).toString()).to.equal('other')
+
+      let res = null
+      try {
+        await db.getFile('/d.json')
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal('No file exists at the specified virtualPath.')
+    })
+
+    it('should layer loose directories over archives', async () => {
+      const pak = new SBAsset6(path.join(__dirname, '/samples/ExampleMod.pak'))
+      await pak.load()
+
+      const db = new AssetDatabase()
+      const archive = await db.mount(pak, 'archive')
+      const directory = await db.mountDirectory(path.join(__dirname, '/samples/ExampleMod'))
+      expect(archive.priority).to.equal(directory.priority)
+      expect(directory.name).to.equal('sbassets6')
+
+      const overrides = await db.getOverrides()
+      expect(overrides).to.have.lengthOf(20)
+      expect(await db.getProvider('/items/somefile.json')).to.equal(directory)
+
+      const expected = await fs.promises.readFile(path.join(__dirname, '/samples/ExampleMod/items/somefile.json'))
+      expect(Buffer.compare(await db.getFile('/items/somefile.json'), expected)).to.equal(0)
+      await pak.close()
+    })
+  })
+})
@@ -0,0 +1,69 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import { expect } from 'chai'
+import { findReferences, checkReferences } from './../src/AssetReferences'
+import { createPak } from './helpers'
+
+describe('AssetReferences', () => {
+  describe('findReferences', () => {
+    it('should find absolute and relative references, with frame and directive suffixes', async () => {
+      const item = {
+        inventoryIcon: 'icon.png:default',
+        image: '/items/shared/sword.png?hueshift=20?addmask=../masks/mask.png;0;0',
+        scripts: ['/scripts/sword.lua'],
+        'odd/key': { animation: './sword.animation' },
+        description: 'Not a reference.png, just prose.',
+        colored: '/items/<color>.png',
+        count: 5,
+        version: '1.2'
+      }
+
+      expect(await findReferences(item, '/items/weapons/sword.activeitem')).to.deep.equal([
+        { file: '/items/weapons/sword.activeitem', pointer: '/inventoryIcon', value: 'icon.png:default', path: '/items/weapons/icon.png' },
+        { file: '/items/weapons/sword.activeitem', pointer: '/image', value: item.image, path: '/items/shared/sword.png' },
+        { file: '/items/weapons/sword.activeitem', pointer: '/image', value: item.image, path: '/items/masks/mask.png' },
+        { file: '/items/weapons/sword.activeitem', pointer: '/scripts/0', value: '/scripts/sword.lua', path: '/scripts/sword.lua' },
+        { file: '/items/weapons/sword.activeitem', pointer: '/odd~1key/animation', value: './sword.animation', path: '/items/weapons/sword.animation' }
+      ])
+
+      expect(await findReferences(item, '/items/weapons/sword.activeitem', { extensions: ['lua'] })).to.have.length(1)
+    })
+  })
+
+  describe('checkReferences', () => {
+    it('should report missing references and unparseable files across an archive', async () => {
+      const pak = await createPak({}, {
+        '/items/sword.activeitem': `{
+          // comments are fine
+          "inventoryIcon": "sword.png:inventory",
+          "animation": "/items/missing.animation",
+          "scripts": ["/scripts/base.lua"]
+        }`,
+        '/items/sword.png': 'not really a png',
+        '/items/broken.object': '{ "image": "broken.png", }',
+        '/items/readme.txt': 'sword.png is the icon'
+      })
+      const base = await createPak({}, { '/scripts/base.lua': '-- base game script' })
+
+      const report = await checkReferences(pak, { sources: [base] })
+      expect(JSON.parse(JSON.stringify(report))).to.deep.equal({
+        files: 1,
+        references: 3,
+        missing: [
+          { file: '/items/sword.activeitem', pointer: '/animation', value: '/items/missing.animation', path: '/items/missing.animation' }
+        ],
+        errors: [
+          { file: '/items/broken.object', message: 'Expected a string key but found character "}" at line 1, column 26', line: 1, column: 26 }
+        ]
+      })
+
+      expect((await checkReferences(pak.files)).missing.map(reference => reference.path)).to.deep.equal(['/items/missing.animation', '/scripts/base.lua'])
+    })
+  })
+})
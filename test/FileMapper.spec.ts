@@ -0,0 +1,279 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import * as path from 'path'
+import * as fs from 'fs'
+import { Readable } from 'stream'
+import { expect } from 'chai'
+import { Uint64BE } from 'int64-buffer'
+import { SBAsset6 } from './../src/SBAsset6'
+import { FileMapper } from './../src/FileMapper'
+
+const readStream = async (stream: Readable): Promise<Buffer> => {
+  const chunks: Buffer[] = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+
+  return Buffer.concat(chunks)
+}
+
+describe('FileMapper', () => {
+  const samplePath = path.join(__dirname, '/samples/universe_server.config.patch')
+
+  describe('FileMapper.getFile', () => {
+    it('should read files from a path source, honoring start and filelength', async () => {
+      const expected = await fs.promises.readFile(samplePath)
+      const files = new FileMapper()
+      await files.setFile('/whole', { source: { path: samplePath } })
+      await files.setFile('/part', { source: { path: samplePath }, start: new Uint64BE(4), filelength: new Uint64BE(10) })
+
+      expect(Buffer.compare(await files.getFile('/whole'), expected)).to.equal(0)
+      expect(Buffer.compare(await files.getFile('/part'), expected.subarray(4, 14))).to.equal(0)
+    })
+  })
+
+  describe('FileMapper.getJSON', () => {
+    it('should parse files as Starbound JSON', async () => {
+      const files = new FileMapper()
+      await files.setFile('/good.config', { source: { buffer: Buffer.from('{\n  // a comment\n  "a": [1, 2] /* another */\n}') } })
+      await files.setFile('/bad.config', { source: { buffer: Buffer.from('{\n  "a": [1, 2,]\n}') } })
+
+      expect(await files.getJSON('/good.config')).to.deep.equal({ a: [1, 2] })
+
+      let res = null
+      try {
+        await files.getJSON('/bad.config')
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(SyntaxError)
+      expect(res.message).to.equal('Unexpected character "]" at line 2, column 14')
+      expect(res.virtualPath).to.equal('/bad.config')
+      expect([res.line, res.column]).to.deep.equal([2, 14])
+    })
+  })
+
+  describe('FileMapper.createReadStream', () => {
+    it('should stream files from every source type', async () => {
+      const expected = await fs.promises.readFile(samplePath)
+      const pak = new SBAsset6(path.join(__dirname, '/samples/more-threads.pak'))
+      await pak.load()
+
+      const fh = await fs.promises.open(samplePath, 'r')
+      const files = new FileMapper()
+      await files.setFile('/pak', await pak.files.getFileMeta('/universe_server.config.patch'))
+      await files.setFile('/path', { source: { path: samplePath } })
+      await files.setFile('/fh', { source: { filehandle: fh } })
+      await files.setFile('/buffer', { source: { buffer: expected } })
+
+      for (const virtualPath of ['/pak', '/path', '/fh', '/buffer']) {
+        const res = await readStream(await files.createReadStream(virtualPath))
+        expect(Buffer.compare(res, expected)).to.equal(0)
+      }
+
+      await fh.close()
+      await pak.close()
+    })
+
+    it('should stream only the requested range of a file', async () => {
+      const expected = await fs.promises.readFile(samplePath)
+      const pak = new SBAsset6(path.join(__dirname, '/samples/more-threads.pak'))
+      await pak.load()
+      await pak.files.setFile('/buffer', { source: { buffer: expected } })
+
+      for (const virtualPath of ['/universe_server.config.patch', '/buffer']) {
+        let res = await readStream(await pak.files.createReadStream(virtualPath, { start: 5, end: 14 }))
+        expect(Buffer.compare(res, expected.subarray(5, 15))).to.equal(0)
+
+        // ranges should never extend past the end of the file
+        res = await readStream(await pak.files.createReadStream(virtualPath, { start: expected.length - 3, end: expected.length + 100 }))
+        expect(Buffer.compare(res, expected.subarray(expected.length - 3))).to.equal(0)
+
+        res = await readStream(await pak.files.createReadStream(virtualPath, { start: expected.length + 100 }))
+        expect(res.length).to.equal(0)
+      }
+
+      await pak.close()
+    })
+
+    it('should allow multiple concurrent streams from the same archive', async () => {
+      const pak = new SBAsset6(path.join(__dirname, '/samples/ExampleMod.pak'))
+      await pak.load()
+
+      const files = await pak.files.list()
+      const streamed = await Promise.all(files.map(async file => readStream(await pak.files.createReadStream(file))))
+      for (const i in files) {
+        const expected = await fs.promises.readFile(path.join(__dirname, '/samples/ExampleMod', files[i]))
+        expect(Buffer.compare(streamed[i], expected)).to.equal(0)
+      }
+
+      await pak.close()
+    })
+
+    it('should throw on an invalid range', async () => {
+      const files = new FileMapper()
+      await files.setFile('/buffer', { source: { buffer: Buffer.from('test') } })
+
+      let res = null
+      try {
+        await files.createReadStream('/buffer', { start: 3, end: 1 })
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(RangeError)
+      expect(res.message).to.equal('FileMapper.createReadStream expects start to be less than or equal to end.')
+    })
+  })
+
+  describe('FileMapper virtual filesystem', () => {
+    const createFiles = async (paths: string[]): Promise<FileMapper> => {
+      const files = new FileMapper()
+      for (const file of paths) {
+        await files.setFile(file, { source: { buffer: Buffer.from(file) } })
+      }
+
+      return files
+    }
+
+    it('should normalize virtualPaths like the game does', async () => {
+      expect(FileMapper.normalizePath('items\\generic//./../generic/log.item')).to.equal('/items/generic/log.item')
+      expect(FileMapper.normalizePath('/../Items/Log.item/')).to.equal('/Items/Log.item')
+
+    })
+
+    it('should keep virtualPaths as stored, only normalizing them for directory queries', async () => {
+      const files = await createFiles(['/a/./b.txt', '/a/b.txt', '/../evil.txt'])
+      expect(await files.list()).to.deep.equal(['/a/./b.txt', '/a/b.txt', '/../evil.txt'])
+      expect(await files.exists('/a/./b.txt')).to.equal(true)
+      expect(await files.exists('/evil.txt')).to.equal(false)
+
+      expect(await files.glob('/a/*.txt')).to.deep.equal(['/a/./b.txt', '/a/b.txt'])
+      expect(await files.readdir()).to.deep.equal([
+        { name: 'a', virtualPath: '/a', type: 'directory' },
+        { name: 'evil.txt', virtualPath: '/../evil.txt', type: 'file' }
+      ])
+      expect(await files.readdir('/a')).to.deep.equal([
+        { name: 'b.txt', virtualPath: '/a/./b.txt', type: 'file' },
+        { name: 'b.txt', virtualPath: '/a/b.txt', type: 'file' }
+      ])
+
+      let res = null
+      try {
+        await files.rename('/a', '/c')
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal('More than one file would be moved or copied to /c/b.txt.')
+      expect(await files.list()).to.deep.equal(['/a/./b.txt', '/a/b.txt', '/../evil.txt'])
+
+      await files.rename('/evil.txt', 'safe.txt')
+      expect(await files.list()).to.deep.equal(['/a/./b.txt', '/a/b.txt', '/safe.txt'])
+      expect((await files.getFile('/safe.txt')).toString()).to.equal('/../evil.txt')
+    })
+
+    it('should support prefix and glob queries', async () => {
+      const files = await createFiles(['/items/a.json', '/items/sub/b.json', '/items/sub/c.png', '/items2/d.json', '/e.json'])
+
+      expect(await files.list('/items/')).to.deep.equal(['/items/a.json', '/items/sub/b.json', '/items/sub/c.png'])
+      expect(await files.glob('/items/**/*.json')).to.deep.equal(['/items/a.json', '/items/sub/b.json'])
+      expect(await files.glob('/items/*.json')).to.deep.equal(['/items/a.json'])
+      expect(await files.glob('/items*/**')).to.deep.equal(['/items/a.json', '/items/sub/b.json', '/items/sub/c.png', '/items2/d.json'])
+      expect(await files.glob('**/?.{png,JSON}')).to.deep.equal(['/items/sub/c.png'])
+    })
+
+    it('should list and walk virtual directories', async () => {
+      const files = await createFiles(['/items/a.json', '/items/sub/b.json', '/e.json'])
+
+      expect(await files.readdir()).to.deep.equal([
+        { name: 'e.json', virtualPath: '/e.json', type: 'file' },
+        { name: 'items', virtualPath: '/items', type: 'directory' }
+      ])
+      expect(await files.readdir('/items/')).to.deep.equal([
+        { name: 'a.json', virtualPath: '/items/a.json', type: 'file' },
+        { name: 'sub', virtualPath: '/items/sub', type: 'directory' }
+      ])
+
+      const walked: string[] = []
+      for await (const entry of files.walk()) {
+        walked.push(`${entry.type} ${entry.virtualPath}`)
+      }
+      expect(walked).to.deep.equal(['file /e.json', 'directory /items', 'file /items/a.json', 'directory /items/sub', 'file /items/sub/b.json'])
+
+      let res = null
+      try {
+        await files.readdir('/items/a.json')
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal('No directory exists at the specified virtualPath.')
+      expect(await (new FileMapper()).readdir()).to.deep.equal([])
+    })
+
+    it('should stat files without reading them', async () => {
+      const files = new FileMapper()
+      await files.setFile('/buffer', { source: { buffer: Buffer.from('test') } })
+      await files.setFile('/part', { source: { path: samplePath }, start: new Uint64BE(4), filelength: new Uint64BE(10) })
+
+      expect(await files.stat('/buffer')).to.deep.equal({ virtualPath: '/buffer', size: 4, source: 'buffer' })
+      expect(await files.stat('/part')).to.deep.equal({ virtualPath: '/part', size: 10, source: 'path' })
+
+      const pak = new SBAsset6(path.join(__dirname, '/samples/ExampleMod.pak'))
+      await pak.load()
+      const { size } = await fs.promises.stat(path.join(__dirname, '/samples/ExampleMod/items/somefile.json'))
+      expect(await pak.files.stat('/items/somefile.json')).to.deep.equal({ virtualPath: '/items/somefile.json', size, source: 'pak' })
+      await pak.close()
+    })
+
+    it('should rename files and directories', async () => {
+      const files = await createFiles(['/items/a.json', '/items/sub/b.json', '/other.json'])
+
+      await files.rename('/items/a.json', '/items/renamed.json')
+      await files.rename('/items', '/moved/items')
+      expect((await files.list()).sort()).to.deep.equal(['/moved/items/renamed.json', '/moved/items/sub/b.json', '/other.json'])
+      expect((await files.getFile('/moved/items/sub/b.json')).toString()).to.equal('/items/sub/b.json')
+      expect((await files.getFileMeta('/moved/items/sub/b.json')).virtualPath).to.equal('/moved/items/sub/b.json')
+
+      const errors: string[] = []
+      for (const [from, to] of [['/missing', '/x'], ['/moved', '/moved/deeper'], ['/moved/items/sub/b.json', '/other.json']]) {
+        try {
+          await files.rename(from, to)
+        } catch (err) {
+          errors.push(err.message)
+        }
+      }
+      expect(errors).to.deep.equal([
+        'No file or directory exists at the specified virtualPath.',
+        'Cannot move or copy a directory into itself.',
+        'A file already exists at /other.json.'
+      ])
+
+      await files.rename('/moved/items/sub/b.json', '/other.json', { overwrite: true })
+      expect((await files.getFile('/other.json')).toString()).to.equal('/items/sub/b.json')
+    })
+
+    it('should copy entries between archives without reading them', async () => {
+      const source = new SBAsset6(path.join(__dirname, '/samples/ExampleMod.pak'))
+      await source.load()
+      const target = new SBAsset6()
+
+      await source.files.copy('/items', '/copied', { target: target.files })
+      await source.files.copy('/items/somefile.json', '/items/copy.json')
+
+      expect(await target.files.list()).to.deep.equal((await source.files.list('/items/')).filter(file => file !== '/items/copy.json').map(file => file.replace('/items/', '/copied/')))
+      expect((await target.files.getFileMeta('/copied/somefile.json')).source.pak).to.equal(source)
+      expect(Buffer.compare(await source.files.getFile('/items/copy.json'), await source.files.getFile('/items/somefile.json'))).to.equal(0)
+
+      const saved = await SBAsset6.fromBuffer(await target.saveTo())
+      expect(Buffer.compare(await saved.files.getFile('/copied/somefile.json'), await source.files.getFile('/items/somefile.json'))).to.equal(0)
+      await source.close()
+    })
+  })
+})
@@ -0,0 +1,172 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import * as path from 'path'
+import { expect } from 'chai'
+import { SBAsset6 } from './../src/SBAsset6'
+import { FileMapper } from './../src/FileMapper'
+import { applyOperation, applyPatch, patchAsset, PatchError } from './../src/JSONPatch'
+import { parseJSON } from './../src/StarboundJSON'
+
+describe('JSONPatch', () => {
+  describe('applyOperation', () => {
+    it('should support every RFC 6902 operation', async () => {
+      let doc: any = { a: 1, list: [1, 2, 3], nested: { 'with/slash': true, 'with~tilde': 2 } }
+
+      doc = await applyOperation(doc, { op: 'add', path: '/b', value: { c: 1 } })
+      doc = await applyOperation(doc, { op: 'add', path: '/list/1', value: 'x' })
+      doc = await applyOperation(doc, { op: 'add', path: '/list/-', value: 4 })
+      doc = await applyOperation(doc, { op: 'remove', path: '/list/0' })
+      doc = await applyOperation(doc, { op: 'replace', path: '/a', value: [1] })
+      doc = await applyOperation(doc, { op: 'move', from: '/nested/with~1slash', path: '/moved' })
+      doc = await applyOperation(doc, { op: 'copy', from: '/nested/with~0tilde', path: '/b/copied' })
+      doc = await applyOperation(doc, { op: 'test', path: '/b', value: { c: 1, copied: 2 } })
+
+      expect(doc).to.deep.equal({
+        a: [1],
+        list: ['x', 2, 3, 4],
+        nested: { 'with~tilde': 2 },
+        b: { c: 1, copied: 2 },
+        moved: true
+      })
+    })
+
+    it('should support Starbound inverse tests', async () => {
+      const doc = { a: 1 }
+
+      await applyOperation(doc, { op: 'test', path: '/b', inverse: true })
+      await applyOperation(doc, { op: 'test', path: '/a', value: 2, inverse: true })
+      await applyOperation(doc, { op: 'test', path: '/a' })
+
+      let res = null
+      try {
+        await applyOperation(doc, { op: 'test', path: '/a', inverse: true })
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(PatchError)
+      expect(res.isTestFailure).to.equal(true)
+      expect(res.message).to.equal('test failed: expected /a to be missing')
+    })
+
+    it('should throw on operations that cannot be applied', async () => {
+      const cases: Array<[any, string]> = [
+        [{ op: 'replace', path: '/missing', value: 1 }, '/missing does not exist.'],
+        [{ op: 'add', path: '/list/5', value: 1 }, 'index 5 is out of bounds for /list/5.'],
+        [{ op: 'remove', path: '/list/a' }, 'invalid array index "a" in /list/a.'],
+        [{ op: 'move', from: '/obj', path: '/obj/child' }, 'cannot move /obj into one of its own children.'],
+        [{ op: 'add', path: 'nope', value: 1 }, 'invalid JSON Pointer "nope"; pointers must start with "/".'],
+        [{ op: 'merge', path: '/obj', value: 1 }, 'unknown operation "merge".']
+      ]
+
+      for (const [operation, message] of cases) {
+        let res = null
+        try {
+          await applyOperation({ list: [], obj: {} }, operation)
+        } catch (err) {
+          res = err
+        }
+        expect(res).to.be.an.instanceof(PatchError)
+        expect(res.isTestFailure).to.equal(false)
+        expect(res.message).to.equal(message)
+      }
+    })
+  })
+
+  describe('applyPatch', () => {
+    it('should discard an entire flat patch when any operation fails, without modifying the original', async () => {
+      const doc = { a: 1 }
+      const res = await applyPatch(doc, [
+        { op: 'replace', path: '/a', value: 2 },
+        { op: 'remove', path: '/b' }
+      ], '/test.config.patch')
+
+      expect(res.document).to.deep.equal({ a: 1 })
+      expect(doc).to.deep.equal({ a: 1 })
+      expect(res.skipped).to.deep.equal([])
+      expect(res.errors).to.have.lengthOf(1)
+      expect(res.errors[0].patchFile).to.equal('/test.config.patch')
+      expect(res.errors[0].index).to.deep.equal([1])
+      expect(res.errors[0].message).to.equal('/test.config.patch: operation 1 (remove /b): /b does not exist.')
+    })
+
+    it('should only skip the failing patch sets of a nested patch', async () => {
+      const res = await applyPatch({ a: 1 }, [
+        [
+          { op: 'test', path: '/modInstalled' },
+          { op: 'replace', path: '/a', value: 'skipped' }
+        ],
+        [
+          { op: 'test', path: '/modInstalled', inverse: true },
+          { op: 'add', path: '/modInstalled', value: true }
+        ],
+        [
+          { op: 'add', path: '/broken', value: true },
+          { op: 'remove', path: '/nope' }
+        ]
+      ], '/test.config.patch')
+
+      expect(res.document).to.deep.equal({ a: 1, modInstalled: true })
+      expect(res.skipped.map(err => err.index)).to.deep.equal([[0, 0]])
+      expect(res.errors.map(err => err.message)).to.deep.equal(['/test.config.patch: operation 2.1 (remove /nope): /nope does not exist.'])
+    })
+
+    it('should stop applying a patch file when a nested patch set fails for any reason other than a test', async () => {
+      const res = await applyPatch({ a: 1 }, [
+        [
+          { op: 'add', path: '/first', value: true }
+        ],
+        [
+          { op: 'add', path: '/broken', value: true },
+          { op: 'remove', path: '/nope' }
+        ],
+        [
+          { op: 'add', path: '/last', value: true }
+        ]
+      ], '/test.config.patch')
+
+      expect(res.document).to.deep.equal({ a: 1, first: true })
+      expect(res.skipped).to.deep.equal([])
+      expect(res.errors.map(err => err.message)).to.deep.equal(['/test.config.patch: operation 1.1 (remove /nope): /nope does not exist.'])
+    })
+
+    it('should treat "__proto__" as an ordinary key', async () => {
+      const document = await parseJSON('{ "__proto__": { "kept": true } }')
+      const res = await applyPatch(document, [
+        { op: 'add', path: '/__proto__/added', value: true },
+        { op: 'add', path: '/nested', value: {} },
+        { op: 'add', path: '/nested/__proto__', value: { polluted: true } }
+      ])
+
+      expect(res.errors).to.deep.equal([])
+      expect(JSON.stringify(res.document)).to.equal('{"__proto__":{"kept":true,"added":true},"nested":{"__proto__":{"polluted":true}}}')
+      expect(Object.getPrototypeOf(res.document.nested)).to.equal(Object.prototype)
+      expect(res.document.nested.polluted).to.equal(undefined)
+    })
+  })
+
+  describe('patchAsset', () => {
+    it('should apply .patch files from a pak to a base asset', async () => {
+      const pak = new SBAsset6(path.join(__dirname, '/samples/more-threads.pak'))
+      await pak.load()
+
+      const base = new FileMapper()
+      await base.setFile('/universe_server.config', { source: { buffer: Buffer.from(JSON.stringify({ workerPoolThreads: 2, other: true })) } })
+      const broken = new FileMapper()
+      await broken.setFile('/universe_server.config.patch', { source: { buffer: Buffer.from('[{ "op": ') } })
+
+      const res = await patchAsset(base, '/universe_server.config', [pak, broken])
+      expect(res.document).to.deep.equal({ workerPoolThreads: 6, other: true })
+      expect(res.errors).to.have.lengthOf(1)
+      expect(res.errors[0].patchFile).to.equal('/universe_server.config.patch')
+      expect(res.errors[0].message).to.match(/^\/universe_server\.config\.patch: failed to parse patch file: /)
+
+      await pak.close()
+    })
+  })
+})
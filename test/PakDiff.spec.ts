@@ -0,0 +1,103 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import * as path from 'path'
+import { expect } from 'chai'
+import { SBAsset6 } from './../src/SBAsset6'
+import { FileMapper } from './../src/FileMapper'
+import { diffPaks, diffFiles, diffMetadata, createDelta } from './../src/PakDiff'
+import { createPak, removeFile } from './helpers'
+
+describe('PakDiff', () => {
+  describe('diffFiles', () => {
+    it('should sort files into added, removed, modified and unchanged', async () => {
+      const before = await createPak({}, { '/same.txt': 'same', '/resized.txt': 'short', '/edited.txt': 'aaaa', '/gone.txt': 'bye' })
+      const after = await createPak({}, { '/new.txt': 'hi', '/edited.txt': 'bbbb', '/resized.txt': 'much longer', '/same.txt': 'same' })
+
+      expect(await diffFiles(before.files, after.files)).to.deep.equal({
+        added: ['/new.txt'],
+        removed: ['/gone.txt'],
+        modified: ['/edited.txt', '/resized.txt'],
+        unchanged: ['/same.txt']
+      })
+    })
+
+    it('should compare files from different kinds of sources', async () => {
+      const samplePath = path.join(__dirname, '/samples/ExampleMod.pak')
+      const pak = new SBAsset6(samplePath)
+      await pak.load()
+
+      const files = new FileMapper()
+      for (const file of await pak.files.list()) {
+        await files.setFile(file, { source: { buffer: await pak.files.getFile(file) } })
+      }
+      await files.setFile('/items/somefile.json', { source: { buffer: Buffer.from('{"changed":true}') } })
+
+      const res = await diffFiles(pak.files, files, { algorithm: 'sha256' })
+      expect(res.modified).to.deep.equal(['/items/somefile.json'])
+      expect(res.unchanged.length).to.equal(19)
+      expect(res.added).to.deep.equal([])
+      expect(res.removed).to.deep.equal([])
+      await pak.close()
+    })
+  })
+
+  describe('diffMetadata', () => {
+    it('should report changes key by key', async () => {
+      const before = { name: 'mod', version: '1.0', includes: ['a'], tags: { x: 1, y: 2 }, obsolete: true }
+      const after = { name: 'mod', version: '1.1', includes: ['a', 'b'], tags: { y: 2, x: 1 }, author: 'someone' }
+
+      expect(await diffMetadata(before, after)).to.deep.equal([
+        { key: 'author', change: 'added', after: 'someone' },
+        { key: 'includes', change: 'modified', before: ['a'], after: ['a', 'b'] },
+        { key: 'obsolete', change: 'removed', before: true },
+        { key: 'version', change: 'modified', before: '1.0', after: '1.1' }
+      ])
+    })
+  })
+
+  describe('diffPaks', () => {
+    it('should produce a JSON-serializable diff of two archives', async () => {
+      const before = await createPak({ name: 'mod', version: '1.0' }, { '/a.txt': 'a', '/b.txt': 'b' })
+      const after = await createPak({ name: 'mod', version: '1.1' }, { '/a.txt': 'a', '/c.txt': 'c' })
+
+      const res = await diffPaks(before, after)
+      expect(JSON.parse(JSON.stringify(res))).to.deep.equal({
+        files: { added: ['/c.txt'], removed: ['/b.txt'], modified: [], unchanged: ['/a.txt'] },
+        metadata: [{ key: 'version', change: 'modified', before: '1.0', after: '1.1' }]
+      })
+
+      expect((await diffPaks(before.files, after.files)).metadata).to.deep.equal([])
+    })
+  })
+
+  describe('createDelta', () => {
+    const tmpDir = path.join(__dirname, '/tmp')
+    afterEach(async () => {
+      await removeFile(path.join(tmpDir, '/delta.pak'))
+    })
+
+    it('should build an archive of only the added and modified files', async () => {
+      const before = await createPak({ name: 'mod', version: '1.0' }, { '/a.txt': 'a', '/b.txt': 'b', '/c.txt': 'c' })
+      const after = await createPak({ name: 'mod', version: '1.1' }, { '/a.txt': 'a', '/b.txt': 'B', '/d.txt': 'd' })
+
+      const delta = await createDelta(after, await diffPaks(before, after))
+      expect(delta.metadata).to.deep.equal({ name: 'mod', version: '1.1' })
+      expect(await delta.files.list()).to.deep.equal(['/b.txt', '/d.txt'])
+
+      const filePath = path.join(tmpDir, '/delta.pak')
+      await delta.saveTo(filePath)
+      const pak = new SBAsset6(filePath)
+      await pak.load()
+      expect(pak.metadata).to.deep.equal({ name: 'mod', version: '1.1' })
+      expect((await pak.files.getFile('/b.txt')).toString()).to.equal('B')
+      expect((await pak.files.getFile('/d.txt')).toString()).to.equal('d')
+      await pak.close()
+    })
+  })
+})
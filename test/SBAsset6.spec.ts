@@ -8,9 +8,11 @@
 
 import * as path from 'path'
 import * as fs from 'fs'
+import { PassThrough } from 'stream'
 import { expect } from 'chai'
 import { Uint64BE } from 'int64-buffer'
 import { SBAsset6 } from './../src/SBAsset6'
+import { emptyDirectory, removeFile } from './helpers'
 import { ConsumableBuffer } from 'byteaccordion'
 
 describe('SBAsset6', () => {
@@ -421,4 +423,551 @@ describe('SBAsset6 integration test', () => {
       }
     })
   })
+
+  describe('SBAsset6 pack/unpack functionality', () => {
+    const tmpDir = path.join(__dirname, '/tmp')
+    const sourcePath = path.join(__dirname, '/samples/ExampleMod/')
+    afterEach(async () => {
+      await emptyDirectory(tmpDir)
+    })
+
+    it('should import a mod directory, using its _metadata file as archive metadata', async () => {
+      const pak = new SBAsset6(path.join(tmpDir, '/importtest.pak'))
+      const res = await pak.importDirectory(sourcePath)
+
+      const expectedMetadata = JSON.parse(await fs.promises.readFile(path.join(__dirname, '/samples/ExampleMod.metadata'), { encoding: 'utf8', flag: 'r' }))
+      expect(pak.metadata).to.deep.equal(expectedMetadata)
+      expect(res).to.have.lengthOf(20)
+      expect(res).to.include('/items/generic/crafting/somefile9.json')
+      expect(res).to.not.include('/_metadata')
+      expect(await pak.files.list()).to.deep.equal(res)
+    })
+
+    it('should skip files matching ignore patterns', async () => {
+      const pak = new SBAsset6(path.join(tmpDir, '/ignoretest.pak'))
+      const res = await pak.importDirectory(sourcePath, { ignore: ['^/items/generic/', /somefile2\.json$/] })
+
+      expect(res).to.deep.equal([
+        '/items/blah/somefile.json',
+        '/items/blah/somefile3.json',
+        '/items/somefile.json',
+        '/items/somefile3.json',
+        '/items/somefile4.json',
+        '/items/somefile5.json'
+      ])
+    })
+
+    it('should follow symlinks when importing a mod directory', async () => {
+      const modPath = path.join(tmpDir, '/symlinked')
+      await fs.promises.mkdir(path.join(modPath, '/items'), { recursive: true })
+      await fs.promises.writeFile(path.join(modPath, '/items/real.json'), '{}')
+      await fs.promises.symlink(path.join(modPath, '/items/real.json'), path.join(modPath, '/items/linked.json'))
+      await fs.promises.symlink(path.join(sourcePath, '/items/blah'), path.join(modPath, '/blah'))
+
+      const pak = new SBAsset6()
+      expect(await pak.importDirectory(modPath)).to.deep.equal([
+        '/blah/somefile.json',
+        '/blah/somefile2.json',
+        '/blah/somefile3.json',
+        '/items/linked.json',
+        '/items/real.json'
+      ])
+
+      await fs.promises.symlink(modPath, path.join(modPath, '/items/loop'))
+      let res = null
+      try {
+        await pak.importDirectory(modPath)
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal(`Refusing to import ${path.join(modPath, '/items/loop')}, as symlinks within the directory form a loop.`)
+    })
+
+    it('should pack a mod directory and unpack it again (slow running test)', async function () { // tslint:disable-line
+      this.slow(2000)
+      this.timeout(5000)
+
+      const pak = new SBAsset6(path.join(tmpDir, '/packtest.pak'))
+      const events: string[] = []
+      pak.progress.on('pack.done', () => events.push('pack.done'))
+      pak.progress.on('unpack.done', () => events.push('unpack.done'))
+
+      const { metadata, files } = await pak.pack(sourcePath)
+      expect(files).to.have.lengthOf(20)
+
+      const destination = path.join(tmpDir, '/unpacked')
+      await pak.unpack(destination)
+      expect(events).to.deep.equal(['pack.done', 'unpack.done'])
+
+      for (const file of files) {
+        const unpacked = await fs.promises.readFile(path.join(destination, file), { encoding: 'utf8', flag: 'r' })
+        const expected = await fs.promises.readFile(path.join(sourcePath, file), { encoding: 'utf8', flag: 'r' })
+        expect(unpacked).to.equal(expected)
+      }
+
+      const unpackedMetadata = JSON.parse(await fs.promises.readFile(path.join(destination, '/_metadata'), { encoding: 'utf8', flag: 'r' }))
+      expect(unpackedMetadata).to.deep.equal(metadata)
+      await pak.close()
+    })
+
+    it('should refuse to unpack files outside of the destination directory', async () => {
+      const pak = new SBAsset6(path.join(tmpDir, '/evil.pak'))
+      await pak.files.setFile('/items/safe.json', { source: { buffer: Buffer.from('{}') } })
+      await pak.files.setFile('/../evil.json', { source: { buffer: Buffer.from('{}') } })
+
+      const destination = path.join(tmpDir, '/evil')
+      let res = null
+      try {
+        await pak.unpack(destination)
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal('Refusing to extract /../evil.json outside of the destination directory.')
+
+      let written = true
+      try {
+        await fs.promises.access(path.join(destination, '/items/safe.json'))
+      } catch (err) {
+        written = false
+      }
+      expect(written).to.equal(false)
+    })
+
+    it('should refuse to unpack a file that collides with the archive metadata', async () => {
+      const pak = new SBAsset6()
+      await pak.files.setFile('/items/safe.json', { source: { buffer: Buffer.from('{}') } })
+      await pak.files.setFile('/_metadata', { source: { buffer: Buffer.from('{}') } })
+
+      const destination = path.join(tmpDir, '/collision')
+      let res = null
+      try {
+        await pak.unpack(destination)
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal('Refusing to extract /_metadata, as it would be overwritten by the archive metadata.')
+
+      let written = true
+      try {
+        await fs.promises.access(destination)
+      } catch (err) {
+        written = false
+      }
+      expect(written).to.equal(false)
+    })
+  })
+
+  describe('SBAsset6 buffer and stream functionality', () => {
+    const tmpDir = path.join(__dirname, '/tmp')
+    const samplePath = path.join(__dirname, '/samples/ExampleMod.pak')
+    afterEach(async () => {
+      await emptyDirectory(tmpDir)
+    })
+
+    const expectSameContents = async (pak: SBAsset6, original: SBAsset6) => {
+      expect(pak.metadata).to.deep.equal(original.metadata)
+      expect(await pak.files.list()).to.deep.equal(await original.files.list())
+      for (const file of await original.files.list()) {
+        expect(Buffer.compare(await pak.files.getFile(file), await original.files.getFile(file))).to.equal(0)
+      }
+    }
+
+    it('should load an archive from a Buffer', async () => {
+      const original = new SBAsset6(samplePath)
+      await original.load()
+
+      const pak = await SBAsset6.fromBuffer(await fs.promises.readFile(samplePath))
+      expect(pak.path).to.equal(undefined)
+      await expectSameContents(pak, original)
+
+      const stream = await pak.files.createReadStream('/items/somefile.json', { start: 2, end: 5 })
+      const chunks: Buffer[] = []
+      for await (const chunk of stream) {
+        chunks.push(chunk)
+      }
+      expect(Buffer.compare(Buffer.concat(chunks), (await original.files.getFile('/items/somefile.json')).subarray(2, 6))).to.equal(0)
+
+      await pak.close()
+      await original.close()
+    })
+
+    it('should load an archive from a stream', async () => {
+      const original = new SBAsset6(samplePath)
+      await original.load()
+
+      const pak = new SBAsset6()
+      await pak.load(fs.createReadStream(samplePath))
+      await expectSameContents(pak, original)
+
+      await pak.close()
+      await original.close()
+    })
+
+    it('should save an archive to a Buffer, a stream, or a new path without touching the original', async () => {
+      const original = await fs.promises.readFile(samplePath)
+      const pak = new SBAsset6(samplePath)
+      await pak.load()
+      pak.metadata.test = 'success'
+      await pak.files.setFile('/new.json', { source: { buffer: Buffer.from('{}') } })
+
+      const buf = await pak.saveTo()
+      const fromBuffer = await SBAsset6.fromBuffer(buf)
+      await expectSameContents(fromBuffer, pak)
+
+      const destination = new PassThrough()
+      const chunks: Buffer[] = []
+      destination.on('data', (chunk: Buffer) => chunks.push(chunk))
+      await pak.saveTo(destination)
+      expect(Buffer.compare(Buffer.concat(chunks), buf)).to.equal(0)
+
+      const filePath = path.join(tmpDir, '/savetotest.pak')
+      await pak.saveTo(filePath)
+      expect(Buffer.compare(await fs.promises.readFile(filePath), buf)).to.equal(0)
+
+      expect(Buffer.compare(await fs.promises.readFile(samplePath), original)).to.equal(0)
+      await pak.close()
+    })
+
+    it('should refuse to saveTo the archive being read from', async () => {
+      const pak = new SBAsset6(samplePath)
+      await pak.load()
+
+      let res = null
+      try {
+        await pak.saveTo(samplePath)
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal('SBAsset6.saveTo cannot overwrite the archive it is reading from; use SBAsset6.save instead.')
+      await pak.close()
+    })
+
+    it('should refuse to saveTo a symlink or hardlink to the archive being read from', async () => {
+      const filePath = path.join(tmpDir, '/linked.pak')
+      await fs.promises.copyFile(samplePath, filePath)
+      await fs.promises.symlink(filePath, path.join(tmpDir, '/symlink.pak'))
+      await fs.promises.link(filePath, path.join(tmpDir, '/hardlink.pak'))
+
+      const pak = new SBAsset6(filePath)
+      await pak.load()
+      for (const link of ['/symlink.pak', '/hardlink.pak']) {
+        let res = null
+        try {
+          await pak.saveTo(path.join(tmpDir, link))
+        } catch (err) {
+          res = err
+        }
+        expect(res).to.be.an.instanceof(Error)
+        expect(res.message).to.equal('SBAsset6.saveTo cannot overwrite the archive it is reading from; use SBAsset6.save instead.')
+      }
+
+      expect(Buffer.compare(await fs.promises.readFile(filePath), await fs.promises.readFile(samplePath))).to.equal(0)
+      await pak.close()
+    })
+
+    it('should refuse to save an archive without a path', async () => {
+      const pak = await SBAsset6.fromBuffer(await fs.promises.readFile(samplePath))
+
+      let res = null
+      try {
+        await pak.save()
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      expect(res.message).to.equal('SBAsset6.save requires a path to save to; use SBAsset6.saveTo instead.')
+    })
+  })
+
+  describe('SBAsset6 verification and salvage', () => {
+    const samplePath = path.join(__dirname, '/samples/ExampleMod.pak')
+
+    // builds an archive by hand, so that its file table can be made to lie about the file data
+    const buildArchive = async (data: Buffer, filetable: Array<[string, number, number]>, trailing: Buffer = Buffer.alloc(0)) => {
+      const metatable = await SBAsset6._buildMetatable({ name: 'crafted' }, filetable.map(([path, offset, filelength]) => {
+        return { path, offset: new Uint64BE(offset), filelength: new Uint64BE(filelength) }
+      }))
+
+      return Buffer.concat([
+        Buffer.from('SBAsset6'),
+        new Uint64BE(16 + data.length).toBuffer(),
+        data,
+        metatable,
+        trailing
+      ])
+    }
+
+    it('should report no issues for a valid archive', async () => {
+      const pak = new SBAsset6(samplePath)
+      const report = await pak.verify()
+      expect(report.valid).to.equal(true)
+      expect(report.issues).to.deep.equal([])
+      expect(report.files).to.equal(20)
+      expect(report.size).to.equal((await fs.promises.stat(samplePath)).size)
+      expect(await pak.isLoaded()).to.equal(false)
+
+      await pak.load()
+      expect(await pak.verify()).to.deep.equal(report)
+      await pak.close()
+    })
+
+    it('should find the metatable when the metatable pointer is broken', async () => {
+      const original = await SBAsset6.fromBuffer(await fs.promises.readFile(samplePath))
+      const buf = await fs.promises.readFile(samplePath)
+      new Uint64BE(1).toBuffer().copy(buf, 8)
+
+      const pak = new SBAsset6()
+      const res = await pak.salvage(buf)
+      expect(res.report.valid).to.equal(false)
+      expect(res.report.issues.map(issue => issue.type)).to.deep.equal(['index'])
+      expect(res.report.metatablePosition).to.equal(original.metatablePosition?.toNumber())
+      expect(res.dropped).to.deep.equal([])
+      expect(res.metadata).to.deep.equal(original.metadata)
+      expect(res.files).to.deep.equal(await original.files.list())
+      for (const file of res.files) {
+        expect(Buffer.compare(await pak.files.getFile(file), await original.files.getFile(file))).to.equal(0)
+      }
+    })
+
+    it('should recover what it can from a truncated file table', async () => {
+      const buf = await fs.promises.readFile(samplePath)
+      const pak = new SBAsset6()
+      const res = await pak.salvage(buf.subarray(0, buf.length - 100))
+
+      expect(res.report.issues.map(issue => issue.type)).to.deep.equal(['filetable'])
+      expect(res.report.issues[0].message).to.match(/^The file table is truncated or corrupt; only \d+ of 20 entries could be read/)
+      expect(res.files.length).to.be.within(1, 19)
+      expect(res.report.files).to.equal(res.files.length)
+
+      const original = await SBAsset6.fromBuffer(buf)
+      for (const file of res.files) {
+        expect(Buffer.compare(await pak.files.getFile(file), await original.files.getFile(file))).to.equal(0)
+      }
+    })
+
+    it('should report and drop files outside of the file data', async () => {
+      const data = Buffer.from('aaaabbbbcccc')
+      const buf = await buildArchive(data, [
+        ['/a.txt', 16, 4],
+        ['/header.txt', 4, 4],
+        ['/metatable.txt', 24, 8],
+        ['/beyond.txt', 16, 1000]
+      ])
+
+      const pak = new SBAsset6()
+      const res = await pak.salvage(buf)
+      expect(res.report.issues.map(issue => [issue.type, issue.path])).to.deep.equal([
+        ['entry-range', '/header.txt'],
+        ['entry-range', '/metatable.txt'],
+        ['entry-range', '/beyond.txt']
+      ])
+      expect(res.dropped).to.deep.equal(['/header.txt', '/metatable.txt', '/beyond.txt'])
+      expect(res.files).to.deep.equal(['/a.txt'])
+      expect((await pak.files.getFile('/a.txt')).toString()).to.equal('aaaa')
+
+      await pak.saveTo()
+    })
+
+    it('should report overlapping and duplicated files', async () => {
+      const data = Buffer.from('aaaabbbbcccc')
+      const buf = await buildArchive(data, [
+        ['/a.txt', 16, 8],
+        ['/b.txt', 20, 4],
+        ['/c.txt', 24, 4],
+        ['/c.txt', 24, 4]
+      ])
+
+      const report = await (await SBAsset6.fromBuffer(buf)).verify()
+      expect(report.valid).to.equal(false)
+      expect(report.issues).to.deep.equal([
+        { type: 'duplicate', message: '/c.txt appears 2 times in the file table.', path: '/c.txt' },
+        { type: 'overlap', message: '/b.txt overlaps /a.txt, starting at offset 20.', path: '/b.txt', offset: 20 }
+      ])
+    })
+
+    it('should report trailing data after the metatable', async () => {
+      const buf = await buildArchive(Buffer.from('aaaa'), [['/a.txt', 16, 4]], Buffer.from('garbage'))
+      const report = await (await SBAsset6.fromBuffer(buf)).verify()
+      expect(report.issues).to.deep.equal([
+        { type: 'trailing-data', message: 'Found 7 bytes of unexpected data after the end of the metatable.', offset: buf.length - 7 }
+      ])
+    })
+
+    it('should find the file table when the metadata is unreadable', async () => {
+      const buf = await buildArchive(Buffer.from('aaaabbbb'), [['/a.txt', 16, 4], ['/b.txt', 20, 4]])
+      // corrupt the type of the first metadata value
+      buf[24 + 5 + 1 + 1 + 'name'.length] = 0xEE
+
+      const pak = new SBAsset6()
+      const res = await pak.salvage(buf)
+      expect(res.report.issues.map(issue => issue.type)).to.deep.equal(['metadata'])
+      expect(res.metadata).to.deep.equal({})
+      expect(res.files).to.deep.equal(['/a.txt', '/b.txt'])
+      expect((await pak.files.getFile('/b.txt')).toString()).to.equal('bbbb')
+    })
+
+    it('should quickly give up looking for the file table when none ends with the archive', async function () {
+      this.timeout(5000)
+
+      // several megabytes of deterministic junk after the metatable
+      const junk = Buffer.alloc(4 * 1024 * 1024)
+      let seed = 1
+      for (let i = 0; i < junk.length; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648
+        junk[i] = seed >>> 16
+      }
+      const buf = await buildArchive(Buffer.from('aaaa'), [['/a.txt', 16, 4]], junk)
+      buf[20 + 5 + 1 + 1 + 'name'.length] = 0xEE
+
+      const res = await (new SBAsset6()).salvage(buf)
+      expect(res.report.issues.map(issue => issue.type)).to.deep.equal(['metadata', 'filetable'])
+      expect(res.files).to.deep.equal([])
+    })
+
+    it('should load file table entries exactly as they are stored', async () => {
+      const buf = await buildArchive(Buffer.from('aaaabbbbcccc'), [['/a/./b.txt', 16, 4], ['/a/b.txt', 20, 4], ['/../evil.txt', 24, 4]])
+
+      const pak = await SBAsset6.fromBuffer(buf)
+      expect(await pak.files.list()).to.deep.equal(['/a/./b.txt', '/a/b.txt', '/../evil.txt'])
+      expect((await pak.files.getFile('/a/./b.txt')).toString()).to.equal('aaaa')
+      expect((await pak.files.getFile('/a/b.txt')).toString()).to.equal('bbbb')
+    })
+
+    it('should report archives that are not SBAsset6 format', async () => {
+      const report = await (new SBAsset6()).salvage(Buffer.from('definitely not a pak file'))
+      expect(report.report.issues).to.deep.equal([{ type: 'header', message: 'File does not appear to be SBAsset6 format.', offset: 0 }])
+      expect(report.files).to.deep.equal([])
+    })
+  })
+
+  describe('SBAsset6 incremental saves', () => {
+    const tmpDir = path.join(__dirname, '/tmp')
+    const samplePath = path.join(__dirname, '/samples/ExampleMod.pak')
+    const filePath = path.join(tmpDir, '/incremental.pak')
+    afterEach(async () => {
+      await removeFile(filePath)
+      await removeFile(filePath + '.tmp')
+    })
+
+    it('should append only new and changed files, leaving existing data in place', async () => {
+      await fs.promises.copyFile(samplePath, filePath)
+      const original = await fs.promises.readFile(samplePath)
+
+      const pak = new SBAsset6(filePath)
+      await pak.load()
+      const oldPosition = (pak.metatablePosition as Uint64BE).toNumber()
+      expect(await pak.getWastedBytes()).to.equal(0)
+
+      const deleted = (await pak.files.stat('/items/somefile2.json')).size
+      const replaced = (await pak.files.stat('/items/somefile.json')).size
+      await pak.files.deleteFile('/items/somefile2.json')
+      await pak.files.setFile('/items/somefile.json', { source: { buffer: Buffer.from('{"replaced":true}') } })
+      await pak.files.setFile('/items/new.json', { source: { buffer: Buffer.from('{"new":true}') } })
+      await pak.files.rename('/items/somefile3.json', '/items/renamed.json')
+      pak.metadata.test = 'success'
+
+      const done: any[] = []
+      pak.progress.on('save.done', (event: any) => done.push(event))
+      await pak.save()
+
+      const saved = await fs.promises.readFile(filePath)
+      expect(Buffer.compare(saved.subarray(16, oldPosition), original.subarray(16, oldPosition))).to.equal(0)
+      expect(Buffer.compare(saved.subarray(oldPosition, original.length), original.subarray(oldPosition))).to.equal(0)
+      expect((pak.metatablePosition as Uint64BE).toNumber()).to.equal(original.length + '{"replaced":true}'.length + '{"new":true}'.length)
+
+      expect(pak.metadata.test).to.equal('success')
+      expect(await pak.files.exists('/items/somefile2.json')).to.equal(false)
+      expect((await pak.files.getFile('/items/somefile.json')).toString()).to.equal('{"replaced":true}')
+      expect((await pak.files.getFile('/items/new.json')).toString()).to.equal('{"new":true}')
+      expect(Buffer.compare(await pak.files.getFile('/items/renamed.json'), await fs.promises.readFile(path.join(__dirname, '/samples/ExampleMod/items/somefile3.json')))).to.equal(0)
+
+      const wasted = (original.length - oldPosition) + deleted + replaced
+      expect(await pak.getWastedBytes()).to.equal(wasted)
+      expect(done).to.deep.equal([{ message: 'Saving archive complete', wasted }])
+      expect((await pak.verify()).issues).to.deep.equal([])
+
+      const files = await pak.files.list()
+      await pak.compact()
+      expect(await pak.getWastedBytes()).to.equal(0)
+      expect((await pak.files.list()).sort()).to.deep.equal(files.sort())
+      expect((await fs.promises.stat(filePath)).size).to.equal(saved.length - wasted)
+      expect((await pak.files.getFile('/items/new.json')).toString()).to.equal('{"new":true}')
+      await pak.close()
+    })
+
+    it('should append copies of files that share their data, so that the saved archive verifies', async () => {
+      await fs.promises.copyFile(samplePath, filePath)
+      const original = await fs.promises.readFile(samplePath)
+
+      const pak = new SBAsset6(filePath)
+      await pak.load()
+      const { size } = await pak.files.stat('/items/somefile.json')
+      await pak.files.copy('/items/somefile.json', '/items/copy.json')
+      await pak.save()
+
+      expect((pak.metatablePosition as Uint64BE).toNumber()).to.equal(original.length + size)
+      expect((await pak.verify()).issues).to.deep.equal([])
+      expect(Buffer.compare(await pak.files.getFile('/items/copy.json'), await pak.files.getFile('/items/somefile.json'))).to.equal(0)
+      await pak.close()
+    })
+
+    it('should leave the archive intact when a save is interrupted', async () => {
+      await fs.promises.copyFile(samplePath, filePath)
+      const original = await fs.promises.readFile(samplePath)
+
+      const pak = new SBAsset6(filePath)
+      await pak.load()
+      await pak.files.setFile('/items/new.json', { source: { buffer: Buffer.from('{"new":true}') } })
+      await pak.files.setFile('/items/missing.json', { source: { path: path.join(tmpDir, '/does-not-exist.json') } })
+
+      let res = null
+      try {
+        await pak.save()
+      } catch (err) {
+        res = err
+      }
+      expect(res).to.be.an.instanceof(Error)
+      await pak.close()
+
+      // the new file's data made it in, but the header still points at the old metatable
+      const interrupted = await fs.promises.readFile(filePath)
+      expect(interrupted.length).to.be.greaterThan(original.length)
+      expect(Buffer.compare(interrupted.subarray(0, original.length), original)).to.equal(0)
+
+      const reloaded = new SBAsset6(filePath)
+      await reloaded.load()
+      expect(await reloaded.files.exists('/items/new.json')).to.equal(false)
+      expect((await reloaded.files.list()).length).to.equal(20)
+      expect((await reloaded.verify()).issues.map(issue => issue.type)).to.deep.equal(['trailing-data'])
+
+      // ...and saving again afterwards works just fine
+      await reloaded.files.setFile('/items/new.json', { source: { buffer: Buffer.from('{"new":true}') } })
+      await reloaded.save()
+      expect((await reloaded.files.getFile('/items/new.json')).toString()).to.equal('{"new":true}')
+      expect((await reloaded.verify()).valid).to.equal(true)
+      await reloaded.close()
+    })
+
+    it('should rewrite salvaged archives in full rather than appending to them', async () => {
+      const original = await fs.promises.readFile(samplePath)
+      const damaged = Buffer.concat([original, Buffer.from('garbage')])
+      new Uint64BE(1).toBuffer().copy(damaged, 8)
+      await fs.promises.writeFile(filePath, damaged)
+
+      const pak = new SBAsset6(filePath)
+      const { report } = await pak.salvage()
+      expect(report.issues.map(issue => issue.type)).to.deep.equal(['index', 'trailing-data'])
+
+      await pak.save()
+      expect((await pak.verify()).issues).to.deep.equal([])
+      expect(await pak.getWastedBytes()).to.equal(0)
+      expect((await fs.promises.stat(filePath)).size).to.equal(original.length)
+      expect((await pak.files.list()).length).to.equal(20)
+      await pak.close()
+    })
+  })
 })
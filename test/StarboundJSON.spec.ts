@@ -0,0 +1,66 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import * as path from 'path'
+import * as fs from 'fs'
+import { expect } from 'chai'
+import { parseJSON, JSONSyntaxError } from './../src/StarboundJSON'
+
+describe('StarboundJSON', () => {
+  describe('parseJSON', () => {
+    it('should parse JSON containing comments', async () => {
+      const doc = await parseJSON([
+        '\uFEFF// leading comment',
+        '{',
+        '  "a" : 1, // trailing comment',
+        '  /* block',
+        '     comment */ "b": [true, false, null, -1.5e2, "with // and /* inside"],',
+        '  "c": { "d": "\\u00e9\\n\\"" }',
+        '}',
+        '/* done */'
+      ].join('\r\n'))
+
+      expect(doc).to.deep.equal({ a: 1, b: [true, false, null, -150, 'with // and /* inside'], c: { d: 'é\n"' } })
+    })
+
+    it('should parse documents the same way as JSON.parse', async () => {
+      const text = await fs.promises.readFile(path.join(__dirname, '/samples/ExampleMod.metadata'), { encoding: 'utf8' })
+      expect(await parseJSON(text)).to.deep.equal(JSON.parse(text))
+      expect(await parseJSON('"just a string"')).to.equal('just a string')
+
+      const proto = await parseJSON('{ "__proto__": { "polluted": true } }')
+      expect(Object.keys(proto)).to.deep.equal(['__proto__'])
+      expect((proto as any).polluted).to.equal(undefined)
+    })
+
+    it('should report the line and column of syntax errors', async () => {
+      const cases: Array<[string, string]> = [
+        ['{\n  "a": 1,\n  "b": }', 'Unexpected character "}" at line 3, column 8'],
+        ['{\n  "a": 1\n  "b": 2\n}', 'Expected "," but found character "\\"" at line 3, column 3'],
+        ['[1, 2', 'Expected "," but found end of document at line 1, column 6'],
+        ['{ "a": 1 } /* unterminated', 'Unterminated block comment at line 1, column 12'],
+        ['{ "a": "unterminated\n}', 'Unterminated string at line 1, column 8'],
+        ['{ a: 1 }', 'Expected a string key but found character "a" at line 1, column 3'],
+        ['{} {}', 'Unexpected character "{" after the end of the document at line 1, column 4']
+      ]
+
+      for (const [text, message] of cases) {
+        let res = null
+        try {
+          await parseJSON(text, '/test.config')
+        } catch (err) {
+          res = err
+        }
+        expect(res).to.be.an.instanceof(JSONSyntaxError)
+        expect(res).to.be.an.instanceof(SyntaxError)
+        expect(res.message).to.equal(message)
+        expect(res.virtualPath).to.equal('/test.config')
+      }
+    })
+  })
+})
@@ -0,0 +1,65 @@
+//
+// SBAsset6 - JS library for working with SBAsset6 archive format
+// ---
+// @copyright (c) 2018 Damian Bushong <katana@odios.us>
+// @license MIT license
+// @url <https://github.com/damianb/SBAsset6>
+//
+
+import * as path from 'path'
+import * as fs from 'fs'
+import { SBAsset6 } from './../src/SBAsset6'
+
+/**
+ * Builds an unsaved archive in memory from the given metadata and file contents.
+ *
+ * @param  metadata - The archive metadata.
+ * @param  files - The contents of each file, keyed by virtualPath.
+ * @return {Promise<SBAsset6>}
+ */
+export const createPak = async (metadata: { [index: string]: any }, files: { [index: string]: string }): Promise<SBAsset6> => {
+  const pak = new SBAsset6()
+  pak.metadata = metadata
+  for (const file in files) {
+    await pak.files.setFile(file, { source: { buffer: Buffer.from(files[file]) } })
+  }
+
+  return pak
+}
+
+/**
+ * Empties a temporary directory used by tests, leaving its .gitkeep file in place.
+ *
+ * @param  directory - The directory to empty.
+ * @return {Promise<void>}
+ */
+export const emptyDirectory = async (directory: string): Promise<void> => {
+  for (const file of await fs.promises.readdir(directory)) {
+    if (file === '.gitkeep') {
+      continue
+    }
+
+    const filePath = path.join(directory, file)
+    if ((await fs.promises.lstat(filePath)).isDirectory()) {
+      await fs.promises.rmdir(filePath, { recursive: true })
+    } else {
+      await fs.promises.unlink(filePath)
+    }
+  }
+}
+
+/**
+ * Removes a file written by a test, if it exists.
+ *
+ * @param  filePath - The file to remove.
+ * @return {Promise<void>}
+ */
+export const removeFile = async (filePath: string): Promise<void> => {
+  try {
+    await fs.promises.unlink(filePath)
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err
+    }
+  }
+}